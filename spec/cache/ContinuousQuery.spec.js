@@ -0,0 +1,205 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { CacheEntryEvent, ScanQuery, ObjectType } = require('apache-ignite-client');
+const MessageBuffer = require('apache-ignite-client/dist/internal/MessageBuffer').default;
+
+const CACHE_NAME = '__test_cache';
+const PENDING_NOTIFICATIONS_MAX = 1000;
+const PENDING_NOTIFICATIONS_TOTAL_MAX = 10000;
+
+describe('continuous query test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('receive cache entry events', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const events = [];
+                const handle = await cache.queryContinuous((evts) => { events.push(...evts); });
+                try {
+                    await cache.put(1, 10);
+                    await cache.put(1, 11);
+                    await cache.remove(1);
+                    await waitForEvents(events, 3);
+                }
+                finally {
+                    await handle.close();
+                }
+                expect(handle.isClosed()).toBe(true);
+                expect(events.map(e => e.getEventType())).toEqual([
+                    CacheEntryEvent.EVENT_TYPE.CREATED,
+                    CacheEntryEvent.EVENT_TYPE.UPDATED,
+                    CacheEntryEvent.EVENT_TYPE.REMOVED]);
+                expect(events.map(e => e.getKey())).toEqual([1, 1, 1]);
+                expect(events[0].getValue()).toBe(10);
+                expect(events[0].getOldValue()).toBe(null);
+                expect(events[1].getValue()).toBe(11);
+                expect(events[1].getOldValue()).toBe(10);
+                expect(events[2].getOldValue()).toBe(11);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('no events after close', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const events = [];
+                const handle = await cache.queryContinuous((evts) => { events.push(...evts); });
+                await cache.put(1, 1);
+                await waitForEvents(events, 1);
+                await handle.close();
+                await cache.put(2, 2);
+                await TestingHelper.sleep(500);
+                expect(events.length).toBe(1);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('continuous query with initial query', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                await cache.put(1, 1);
+                const events = [];
+                const handle = await cache.queryContinuous(
+                    (evts) => { events.push(...evts); },
+                    { initialQuery: new ScanQuery() });
+                try {
+                    const entries = await handle.getInitialQueryCursor().getAll();
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].getKey()).toBe(1);
+                    await cache.put(2, 2);
+                    await waitForEvents(events, 1);
+                    expect(events[0].getKey()).toBe(2);
+                }
+                finally {
+                    await handle.close();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('continuous query with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                const wrongArgs = [
+                    [null],
+                    [1],
+                    [() => {}, { bufferSize: 1.5 }],
+                    [() => {}, { initialQuery: 1 }]
+                ];
+                for (let args of wrongArgs) {
+                    try {
+                        await cache.queryContinuous(...args);
+                        done.fail('continuous query is started with wrong args: ' + args);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('limit notifications buffered for unknown resources', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const socket = igniteClient._router.getConnection();
+                // Negative ids are not used by the server for resources
+                for (let i = 0; i <= PENDING_NOTIFICATIONS_MAX; i++) {
+                    await socket._processNotification('-1', buildNotification());
+                }
+                expect(socket._pendingNotifications.get('-1').length).toBe(PENDING_NOTIFICATIONS_MAX);
+                for (let id = 2; socket._pendingNotificationsNum < PENDING_NOTIFICATIONS_TOTAL_MAX; id++) {
+                    await socket._processNotification('-' + id, buildNotification());
+                }
+                // The oldest buffer is dropped when the total limit is reached
+                await socket._processNotification('-0', buildNotification());
+                expect(socket._pendingNotifications.has('-1')).toBe(false);
+                expect(socket._pendingNotifications.has('-0')).toBe(true);
+                expect(socket._pendingNotificationsNum).toBe(PENDING_NOTIFICATIONS_TOTAL_MAX - PENDING_NOTIFICATIONS_MAX + 1);
+                for (let id of Array.from(socket._pendingNotifications.keys())) {
+                    socket._dropPendingNotifications(id);
+                }
+                expect(socket._pendingNotificationsNum).toBe(0);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    function getCache() {
+        return igniteClient.getCache(CACHE_NAME).
+            setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+            setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+    }
+
+    // Notification without topology change and error: [flags:short][opCode:short]
+    function buildNotification() {
+        const buffer = new MessageBuffer();
+        buffer.writeShort(0);
+        buffer.writeShort(2007);
+        return MessageBuffer.from(buffer.data, 0);
+    }
+
+    async function waitForEvents(events, count) {
+        for (let i = 0; i < 50 && events.length < count; i++) {
+            await TestingHelper.sleep(100);
+        }
+        expect(events.length).toBe(count);
+    }
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -0,0 +1,279 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { Errors, ObjectType } = require('apache-ignite-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('data streamer test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('stream entries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const streamer = igniteClient.dataStreamer(CACHE_NAME, {
+                    perNodeBufferSize: 10,
+                    perNodeParallelOperations: 2,
+                    keyType: ObjectType.PRIMITIVE_TYPE.INTEGER,
+                    valueType: ObjectType.PRIMITIVE_TYPE.INTEGER
+                });
+                for (let i = 0; i < 1000; i++) {
+                    await streamer.add(i, i * 2);
+                }
+                await streamer.close();
+                expect(streamer.isClosed()).toBe(true);
+                expect(await cache.getSize()).toBe(1000);
+                expect(await cache.get(999)).toBe(1998);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('stream entries by concurrent calls', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const streamer = igniteClient.dataStreamer(CACHE_NAME, {
+                    perNodeBufferSize: 1,
+                    perNodeParallelOperations: 2,
+                    keyType: ObjectType.PRIMITIVE_TYPE.INTEGER,
+                    valueType: ObjectType.PRIMITIVE_TYPE.INTEGER
+                });
+                const send = streamer._communicator.send.bind(streamer._communicator);
+                const inFlight = new Map();
+                let maxInFlight = 0;
+                spyOn(streamer._communicator, 'send').and.callFake(async (opCode, payloadWriter, payloadReader, affinityHint, socket, ...args) => {
+                    inFlight.set(socket, (inFlight.get(socket) || 0) + 1);
+                    maxInFlight = Math.max(maxInFlight, inFlight.get(socket));
+                    try {
+                        return await send(opCode, payloadWriter, payloadReader, affinityHint, socket, ...args);
+                    }
+                    finally {
+                        inFlight.set(socket, inFlight.get(socket) - 1);
+                    }
+                });
+                const adds = [];
+                for (let i = 0; i < 100; i++) {
+                    adds.push(streamer.add(i, i * 2));
+                }
+                await Promise.all(adds);
+                await streamer.close();
+                expect(maxInFlight <= 2).toBe(true);
+                expect(await cache.getSize()).toBe(100);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('close waits for batches queued for parallel operation', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const streamer = igniteClient.dataStreamer(CACHE_NAME, {
+                    perNodeBufferSize: 5,
+                    perNodeParallelOperations: 1,
+                    keyType: ObjectType.PRIMITIVE_TYPE.INTEGER,
+                    valueType: ObjectType.PRIMITIVE_TYPE.INTEGER
+                });
+                const getAffinityConnection = streamer._router.getAffinityConnection.bind(streamer._router);
+                let buffered = 0;
+                spyOn(streamer._router, 'getAffinityConnection').and.callFake(async (...args) => {
+                    const socket = await getAffinityConnection(...args);
+                    buffered++;
+                    return socket;
+                });
+                const send = streamer._communicator.send.bind(streamer._communicator);
+                let releaseSends;
+                const sendsReleased = new Promise(resolve => releaseSends = resolve);
+                let closed = false;
+                let sentAfterClose = 0;
+                spyOn(streamer._communicator, 'send').and.callFake(async (...args) => {
+                    await sendsReleased;
+                    if (closed) {
+                        sentAfterClose++;
+                    }
+                    return await send(...args);
+                });
+                const adds = [];
+                for (let i = 0; i < 50; i++) {
+                    adds.push(streamer.add(i, i * 2));
+                }
+                await TestingHelper.waitForConditionOrThrow(() => buffered === 50, 5000);
+                const close = streamer.close();
+                releaseSends();
+                await close;
+                closed = true;
+                await Promise.all(adds);
+                await TestingHelper.sleep(100);
+                expect(sentAfterClose).toBe(0);
+                expect(await cache.getSize()).toBe(50);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('flush and remove entries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                await cache.put(1, 1);
+                const streamer = igniteClient.dataStreamer(CACHE_NAME, {
+                    allowOverwrite: true,
+                    keyType: ObjectType.PRIMITIVE_TYPE.INTEGER,
+                    valueType: ObjectType.PRIMITIVE_TYPE.INTEGER
+                });
+                try {
+                    await streamer.add(2, 2);
+                    await streamer.remove(1);
+                    await streamer.flush();
+                    expect(await cache.get(1)).toBe(null);
+                    expect(await cache.get(2)).toBe(2);
+                }
+                finally {
+                    await streamer.close();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('existing entries are not overwritten by default', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                await cache.put(1, 1);
+                const streamer = igniteClient.dataStreamer(CACHE_NAME, {
+                    keyType: ObjectType.PRIMITIVE_TYPE.INTEGER,
+                    valueType: ObjectType.PRIMITIVE_TYPE.INTEGER
+                });
+                await streamer.add(1, 2);
+                await streamer.close();
+                expect(await cache.get(1)).toBe(1);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('automatic flush', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const streamer = igniteClient.dataStreamer(CACHE_NAME, {
+                    flushInterval: 100,
+                    keyType: ObjectType.PRIMITIVE_TYPE.INTEGER,
+                    valueType: ObjectType.PRIMITIVE_TYPE.INTEGER
+                });
+                try {
+                    await streamer.add(1, 1);
+                    await TestingHelper.sleep(1000);
+                    expect(await cache.get(1)).toBe(1);
+                }
+                finally {
+                    await streamer.close();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('cancel streamer', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const streamer = igniteClient.dataStreamer(CACHE_NAME);
+                await streamer.add(1, 1);
+                await streamer.close(true);
+                expect(await cache.get(1)).toBe(null);
+                try {
+                    await streamer.add(2, 2);
+                    done.fail('entry is added to closed streamer');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('create streamer with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const wrongOptions = [
+                    { perNodeBufferSize: 0 },
+                    { perNodeParallelOperations: -1 },
+                    { flushInterval: 1.5 }
+                ];
+                for (let options of wrongOptions) {
+                    try {
+                        igniteClient.dataStreamer(CACHE_NAME, options);
+                        done.fail('streamer is created with wrong options: ' + JSON.stringify(options));
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    function getCache() {
+        return igniteClient.getCache(CACHE_NAME).
+            setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+            setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+    }
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -0,0 +1,150 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { CacheConfiguration, ObjectType } = require('apache-ignite-client');
+
+const CACHE_NAME = '__test_cache';
+const CACHE_NAME2 = '__test_cache2';
+
+describe('expiry policy test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('put with expiry policy', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const expiringCache = cache.withExpiryPolicy({ create: 500 });
+                await expiringCache.put(1, 1);
+                await cache.put(2, 2);
+                expect(await expiringCache.get(1)).toBe(1);
+                await TestingHelper.sleep(1000);
+                expect(await cache.get(1)).toBe(null);
+                expect(await cache.get(2)).toBe(2);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('expiry policy view keeps key and value types', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const eternalCache = cache.withExpiryPolicy({ create: Infinity, update: null });
+                await eternalCache.put(1, 1);
+                expect(await eternalCache.get(1)).toBe(1);
+                expect(await cache.get(1)).toBe(1);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('create cache with expiry policy', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const policy = { create: 500, update: Infinity, access: null };
+                await igniteClient.createCache(CACHE_NAME2, new CacheConfiguration().setExpiryPolicy(policy));
+                const config = await igniteClient.getCacheConfiguration(CACHE_NAME2);
+                expect(config.getExpiryPolicy()).toEqual(policy);
+                const cache = igniteClient.getCache(CACHE_NAME2);
+                await cache.put(1, 1);
+                await TestingHelper.sleep(1000);
+                expect(await cache.get(1)).toBe(null);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('null expiry policy', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const noPolicyCache = cache.withExpiryPolicy({ create: 500 }).withExpiryPolicy(null);
+                await noPolicyCache.put(1, 1);
+                await TestingHelper.sleep(1000);
+                expect(await noPolicyCache.get(1)).toBe(1);
+                const config = new CacheConfiguration().setExpiryPolicy({ create: 500 }).setExpiryPolicy(null);
+                expect(config.getExpiryPolicy()).toBe(null);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('expiry policy with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                const wrongArgs = [
+                    1,
+                    { create: -5 },
+                    { update: 1.5 },
+                    { access: 'a' }
+                ];
+                for (let arg of wrongArgs) {
+                    try {
+                        cache.withExpiryPolicy(arg);
+                        done.fail('expiry policy is accepted: ' + arg);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    function getCache() {
+        return igniteClient.getCache(CACHE_NAME).
+            setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+            setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+    }
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+        await TestingHelper.destroyCache(CACHE_NAME2, done);
+    }
+});
@@ -0,0 +1,127 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { ObjectType, ComplexObjectType, BinaryObject, CacheEntry, ScanQuery } = require('apache-ignite-client');
+
+const CACHE_NAME = '__test_cache';
+
+class Person {
+    constructor(id = null, name = null) {
+        this.id = id;
+        this.name = name;
+    }
+}
+
+describe('keep binary test suite >', () => {
+    let igniteClient = null;
+    const personType = new ComplexObjectType(new Person(), 'KeepBinaryPerson').
+        setFieldType('id', ObjectType.PRIMITIVE_TYPE.INTEGER);
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('get binary values', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.removeAll();
+                await cache.putAll([new CacheEntry(1, new Person(1, 'a')), new CacheEntry(2, new Person(2, 'b'))]);
+
+                expect(await cache.get(1)).toEqual(jasmine.any(Person));
+                const binaryCache = cache.withKeepBinary();
+                const value = await binaryCache.get(1);
+                expect(value).toEqual(jasmine.any(BinaryObject));
+                expect(await value.getField('id', ObjectType.PRIMITIVE_TYPE.INTEGER)).toBe(1);
+                expect(await value.getField('name')).toBe('a');
+
+                const entries = await binaryCache.getAll([1, 2]);
+                expect(entries.length).toBe(2);
+                for (let entry of entries) {
+                    expect(entry.getValue()).toEqual(jasmine.any(BinaryObject));
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('scan binary values', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.removeAll();
+                await cache.put(1, new Person(1, 'a'));
+                const cursor = await cache.withKeepBinary().query(new ScanQuery());
+                const entries = await cursor.getAll();
+                expect(entries.length).toBe(1);
+                expect(entries[0].getKey()).toBe(1);
+                expect(entries[0].getValue()).toEqual(jasmine.any(BinaryObject));
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('put binary values', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.removeAll();
+                await cache.put(1, new Person(1, 'a'));
+                const binaryCache = cache.withKeepBinary().setValueType(null);
+                const value = await binaryCache.get(1);
+                value.setField('name', 'b');
+                await binaryCache.put(2, value);
+                const person = await cache.get(2);
+                expect(person.name).toBe('b');
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    function getCache() {
+        return igniteClient.getCache(CACHE_NAME).
+            setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+            setValueType(personType);
+    }
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
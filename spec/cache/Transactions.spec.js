@@ -0,0 +1,229 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { Errors, CacheConfiguration, CacheEntry, Transaction, ObjectType, ScanQuery } = require('apache-ignite-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('transactions test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(
+                    CACHE_NAME,
+                    new CacheConfiguration().setAtomicityMode(CacheConfiguration.CACHE_ATOMICITY_MODE.TRANSACTIONAL));
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('commit transaction', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const tx = await igniteClient.txStart();
+                try {
+                    const txCache = cache.withTransaction(tx);
+                    await txCache.put(1, 1);
+                    await txCache.putAll([new CacheEntry(2, 2), new CacheEntry(3, 3)]);
+                    await tx.commit();
+                }
+                finally {
+                    await tx.close();
+                }
+                expect(tx.isClosed()).toBe(true);
+                expect(await cache.get(1)).toBe(1);
+                expect(await cache.getSize()).toBe(3);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('rollback transaction', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                await cache.put(1, 1);
+                const tx = await igniteClient.txStart(
+                    Transaction.CONCURRENCY.PESSIMISTIC, Transaction.ISOLATION.REPEATABLE_READ, 5000, 'label');
+                try {
+                    const txCache = cache.withTransaction(tx);
+                    await txCache.put(1, 2);
+                    await txCache.put(2, 2);
+                    expect(await txCache.get(1)).toBe(2);
+                    await tx.rollback();
+                }
+                finally {
+                    await tx.close();
+                }
+                expect(await cache.get(1)).toBe(1);
+                expect(await cache.get(2)).toBe(null);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('close transaction without commit', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const tx = await igniteClient.txStart(Transaction.CONCURRENCY.OPTIMISTIC, Transaction.ISOLATION.SERIALIZABLE);
+                const txCache = cache.withTransaction(tx);
+                await txCache.put(1, 1);
+                await tx.close();
+                expect(await cache.get(1)).toBe(null);
+                try {
+                    await tx.commit();
+                    done.fail('closed transaction is committed');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                    expect(err.message).toBe('Transaction is already closed');
+                }
+                try {
+                    await txCache.put(1, 1);
+                    done.fail('entry is put within closed transaction');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                    expect(err.message).toBe('Transaction is already closed');
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('concurrent transactions', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                const [tx1, tx2] = await Promise.all([igniteClient.txStart(), igniteClient.txStart()]);
+                try {
+                    await Promise.all([
+                        cache.withTransaction(tx1).putAll([new CacheEntry(1, 1), new CacheEntry(2, 2)]),
+                        cache.withTransaction(tx2).putAll([new CacheEntry(3, 3), new CacheEntry(4, 4)])
+                    ]);
+                    // The operations out of the transactions are not transactional
+                    await cache.put(5, 5);
+                    await Promise.all([tx1.commit(), tx2.rollback()]);
+                }
+                finally {
+                    await Promise.all([tx1.close(), tx2.close()]);
+                }
+                expect(await cache.getAll([1, 2, 3, 4, 5])).toEqual(
+                    [new CacheEntry(1, 1), new CacheEntry(2, 2), new CacheEntry(5, 5)]);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('query within transaction', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                await cache.put(1, 1);
+                const tx = await igniteClient.txStart();
+                try {
+                    const txCache = cache.withTransaction(tx);
+                    await txCache.put(2, 2);
+                    // Queries are not transactional, so the uncommitted entry is not visible
+                    const entries = await (await txCache.query(new ScanQuery())).getAll();
+                    expect(entries.map((entry) => entry.getKey())).toEqual([1]);
+                }
+                finally {
+                    await tx.close();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('cache with wrong transaction', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const wrongArgs = [1, {}, getCache()];
+                for (let arg of wrongArgs) {
+                    try {
+                        getCache().withTransaction(arg);
+                        done.fail('cache is created with wrong transaction: ' + arg);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('start transaction with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const wrongArgs = [
+                    [100, null],
+                    [null, 100],
+                    [null, null, 1.5]
+                ];
+                for (let args of wrongArgs) {
+                    try {
+                        await igniteClient.txStart(...args);
+                        done.fail('transaction is started with wrong args: ' + args);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    function getCache() {
+        return igniteClient.getCache(CACHE_NAME).
+            setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+            setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+    }
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
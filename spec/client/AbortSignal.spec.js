@@ -0,0 +1,185 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { Errors, ObjectType, ScanQuery } = require('apache-ignite-client');
+
+const CACHE_NAME = '__test_cache';
+
+// AbortController is available globally starting from Node.js 15
+class TestAbortController {
+    constructor() {
+        const listeners = new Set();
+        this.signal = {
+            aborted: false,
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener)
+        };
+        this._listeners = listeners;
+    }
+
+    abort() {
+        if (!this.signal.aborted) {
+            this.signal.aborted = true;
+            for (let listener of [...this._listeners]) {
+                listener();
+            }
+        }
+    }
+}
+
+function createAbortController() {
+    return typeof AbortController === 'function' ? new AbortController() : new TestAbortController();
+}
+
+describe('abort signal test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('operations with aborted signal', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                const controller = createAbortController();
+                controller.abort();
+                const operations = [
+                    () => cache.get(1, { signal: controller.signal }),
+                    () => cache.put(1, 1, { signal: controller.signal }),
+                    () => cache.query(new ScanQuery(), { signal: controller.signal }),
+                    () => igniteClient.cacheNames({ signal: controller.signal })
+                ];
+                for (let operation of operations) {
+                    try {
+                        await operation();
+                        done.fail('operation is completed with aborted signal');
+                    }
+                    catch (err) {
+                        TestingHelper.checkError(err, Errors.AbortError, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('abort pending operations', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                const controller = createAbortController();
+                const keys = [];
+                for (let i = 0; i < 1000; i++) {
+                    keys.push(i);
+                }
+                const results = keys.map(
+                    (key) => cache.put(key, key, { signal: controller.signal }).then(() => null, (err) => err));
+                controller.abort();
+                for (let err of await Promise.all(results)) {
+                    if (err !== null) {
+                        expect(err instanceof Errors.AbortError).toBe(true);
+                    }
+                }
+                // The connection is still usable after the responses to the aborted requests are received
+                await TestingHelper.sleep(1000);
+                await cache.put(1, 2);
+                expect(await cache.get(1)).toBe(2);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('abort cursor', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                for (let i = 0; i < 10; i++) {
+                    await cache.put(i, i);
+                }
+                const controller = createAbortController();
+                const cursor = await cache.query(new ScanQuery().setPageSize(1), { signal: controller.signal });
+                expect(await cursor.getValue()).not.toBe(null);
+                controller.abort();
+                try {
+                    await cursor.getValue();
+                    done.fail('cursor page is obtained with aborted signal');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.AbortError, done);
+                }
+                expect(await cursor.getValue()).toBe(null);
+                expect(cursor.hasMore()).toBe(false);
+                await cursor.close();
+                const all = await (await cache.query(new ScanQuery().setPageSize(1))).getAll();
+                expect(all.length).toBe(10);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set wrong signal', (done) => {
+        Promise.resolve().
+            then(async () => {
+                for (let signal of [true, {}, { aborted: false }]) {
+                    try {
+                        await getCache().get(1, { signal });
+                        done.fail('wrong signal is accepted: ' + signal);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    function getCache() {
+        return igniteClient.getCache(CACHE_NAME).
+            setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+            setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+    }
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -0,0 +1,122 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { IgniteClient, IgniteClientConfiguration } = require('apache-ignite-client');
+
+describe('automatic reconnection test suite >', () => {
+    let igniteClient = null;
+    let events = [];
+
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                events = [];
+                igniteClient = new IgniteClient((state, reason, details) => events.push({ state, reason, details }));
+                await igniteClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setAutoReconnect({ initialDelay: 100, maxDelay: 1000 }));
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                igniteClient.disconnect();
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(_error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('reconnect after cluster restart', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.stopTestServers();
+                await TestingHelper.waitForConditionOrThrow(() => getReconnectingEvents().length >= 3, 10000);
+                expect(igniteClient._router._state).toBe(IgniteClient.STATE.CONNECTING);
+
+                await TestingHelper.startTestServers(false, 1);
+                await TestingHelper.waitForConditionOrThrow(() => getLastEvent().state === IgniteClient.STATE.CONNECTED, 30000);
+
+                const reconnecting = getReconnectingEvents();
+                const reconnected = getLastEvent().details;
+                expect(reconnected.event).toBe('reconnected');
+                expect(reconnected.endpoint).toBe(TestingHelper.getEndpoints(1)[0]);
+                expect(reconnected.attempt).toBe(reconnecting[reconnecting.length - 1].details.attempt);
+                for (let i = 0; i < reconnecting.length; i++) {
+                    expect(reconnecting[i].state).toBe(IgniteClient.STATE.CONNECTING);
+                    expect(reconnecting[i].details.attempt).toBe(i + 1);
+                }
+                expect(await igniteClient.cacheNames()).toBeArray();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('disconnect stops reconnection', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.stopTestServers();
+                await TestingHelper.waitForConditionOrThrow(() => getReconnectingEvents().length >= 2, 10000);
+                igniteClient.disconnect();
+                expect(getLastEvent().state).toBe(IgniteClient.STATE.DISCONNECTED);
+                const eventsNum = events.length;
+                await TestingHelper.sleep(2000);
+                expect(events.length).toBe(eventsNum);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set wrong reconnect options', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const wrongOptions = [
+                    { initialDelay: -1 },
+                    { initialDelay: 1000, maxDelay: 100 },
+                    { jitter: 2 },
+                    { maxAttempts: 1.5 }
+                ];
+                for (let options of wrongOptions) {
+                    try {
+                        new IgniteClientConfiguration('127.0.0.1:10800').setAutoReconnect(options);
+                        done.fail('wrong reconnect options are accepted: ' + JSON.stringify(options));
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    function getReconnectingEvents() {
+        return events.filter(event => event.details && event.details.event === 'reconnecting');
+    }
+
+    function getLastEvent() {
+        return events[events.length - 1];
+    }
+});
@@ -0,0 +1,109 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { ClientCluster } = require('apache-ignite-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('cluster test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('get cluster state', (done) => {
+        Promise.resolve().
+            then(async () => {
+                expect(await igniteClient.cluster().getState()).toBe(ClientCluster.STATE.ACTIVE);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set the same cluster state', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cluster = igniteClient.cluster();
+                await cluster.setState(ClientCluster.STATE.ACTIVE);
+                expect(await cluster.getState()).toBe(ClientCluster.STATE.ACTIVE);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get WAL state', (done) => {
+        Promise.resolve().
+            then(async () => {
+                expect(await igniteClient.cluster().isWalEnabled(CACHE_NAME)).toBeBoolean();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('cluster operations with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cluster = igniteClient.cluster();
+                const operations = [
+                    () => cluster.setState(null),
+                    () => cluster.setState(100),
+                    () => cluster.disableWal(null),
+                    () => cluster.enableWal(''),
+                    () => cluster.isWalEnabled(null)
+                ];
+                for (let operation of operations) {
+                    try {
+                        await operation();
+                        done.fail('cluster operation is executed with wrong args');
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -0,0 +1,168 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+
+describe('cluster group test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('get cluster nodes', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const nodes = await igniteClient.cluster().nodes();
+                expect(nodes.length).toBeGreaterThan(0);
+                for (let node of nodes) {
+                    expect(node.id.length).toBe(16);
+                    expect(node.consistentId).not.toBe(null);
+                    expect(node.addresses).toBeArray();
+                    expect(node.order).toBeGreaterThan(0);
+                    expect(node.attributes).toEqual(jasmine.any(Map));
+                }
+                const ids = await igniteClient.cluster().nodeIds();
+                expect(ids.length).toBe(nodes.length);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('filter nodes by attribute', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cluster = igniteClient.cluster();
+                const nodes = await cluster.forServers().nodes();
+                expect(nodes.length).toBeGreaterThan(0);
+                const name = 'org.apache.ignite.build.ver';
+                const version = nodes[0].getAttribute(name);
+                const sameVersionNodes = await cluster.forAttribute(name, version).nodes();
+                expect(sameVersionNodes.length).toBeGreaterThan(0);
+                for (let node of sameVersionNodes) {
+                    expect(node.getAttribute(name)).toBe(version);
+                }
+                expect(await cluster.forAttribute('__unknown_attribute').nodes()).toEqual([]);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('filter nodes by id', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cluster = igniteClient.cluster();
+                const ids = await cluster.nodeIds();
+                const nodes = await cluster.forNodeIds([ids[0]]).nodes();
+                expect(nodes.length).toBe(1);
+                expect(nodes[0].id).toEqual(ids[0]);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('cluster group with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cluster = igniteClient.cluster();
+                const operations = [
+                    () => cluster.forAttribute(null),
+                    () => cluster.forAttribute(''),
+                    () => cluster.forNodeIds([]),
+                    () => cluster.forNodeIds(null)
+                ];
+                for (let operation of operations) {
+                    try {
+                        operation();
+                        done.fail('cluster group is created with wrong args');
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
+
+describe('multi-node cluster group test suite >', () => {
+    const SERVER_NUM = 3;
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init(false, SERVER_NUM);
+                igniteClient = TestingHelper.igniteClient;
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('get all nodes of the cluster', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const nodes = await igniteClient.cluster().nodes();
+                expect(nodes.length).toBe(SERVER_NUM);
+                const ids = await igniteClient.cluster().nodeIds();
+                expect(nodes.map((node) => node.id)).toEqual(jasmine.arrayWithExactContents(ids));
+                for (let node of nodes) {
+                    expect(node.id.length).toBe(16);
+                    expect(node.consistentId).not.toBe(null);
+                    expect(node.addresses).toBeArray();
+                    expect(node.hostNames).toBeArray();
+                    expect(node.isClient).toBe(false);
+                    expect(node.isDaemon).toBe(false);
+                    expect(node.version).toMatch(/^\d+\.\d+\.\d+/);
+                    expect(node.version).toBe(nodes[0].version);
+                    expect(node.getAttribute('org.apache.ignite.build.ver')).toBeString();
+                }
+                expect(new Set(nodes.map((node) => node.order)).size).toBe(SERVER_NUM);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
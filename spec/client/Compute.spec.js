@@ -0,0 +1,101 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { Errors } = require('apache-ignite-client');
+
+describe('compute test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('execute unknown task', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await igniteClient.compute().execute('org.apache.ignite.__UnknownTask', 1);
+                    done.fail('unknown task is executed');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.OperationError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('execute task on empty cluster group', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const group = igniteClient.cluster().forAttribute('__unknown_attribute');
+                try {
+                    await igniteClient.compute(group).execute('org.apache.ignite.__UnknownTask');
+                    done.fail('task is executed on empty cluster group');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('execute task with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const compute = igniteClient.compute();
+                const operations = [
+                    () => compute.execute(null),
+                    () => compute.execute(''),
+                    () => compute.execute('task', null, { timeout: 1.5 }),
+                    () => igniteClient.compute(1)
+                ];
+                for (let operation of operations) {
+                    try {
+                        await operation();
+                        done.fail('task is executed with wrong args');
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
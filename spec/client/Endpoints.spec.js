@@ -0,0 +1,93 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { IgniteClient, IgniteClientConfiguration } = require('apache-ignite-client');
+
+describe('endpoints test suite >', () => {
+
+    it('expand port ranges', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const config = new IgniteClientConfiguration(
+                    '127.0.0.1:10800..10802', '[::1]:10800..10801', 'localhost', '[fe80::1]:10800');
+                expect(config.endpoints).toEqual([
+                    '127.0.0.1:10800', '127.0.0.1:10801', '127.0.0.1:10802',
+                    '[::1]:10800', '[::1]:10801',
+                    'localhost', '[fe80::1]:10800'
+                ]);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('connect to port range', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                const igniteClient = new IgniteClient();
+                try {
+                    // Only the first port of the range is listened by the test server
+                    const endpoint = TestingHelper.getEndpoints(1)[0];
+                    await igniteClient.connect(new IgniteClientConfiguration(endpoint + '..' + (parseInt(endpoint.split(':')[1]) + 2)));
+                    expect(await igniteClient.cacheNames()).toBeArray();
+                }
+                finally {
+                    igniteClient.disconnect();
+                    await TestingHelper.cleanUp();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('wrong endpoints', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const wrongEndpoints = [
+                    '127.0.0.1:10805..10800',
+                    '127.0.0.1:10800..70000',
+                    '::1:10800..10801',
+                    123
+                ];
+                for (let endpoint of wrongEndpoints) {
+                    try {
+                        new IgniteClientConfiguration(endpoint);
+                        done.fail('wrong endpoint is accepted: ' + endpoint);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+                for (let endpoint of ['[::1]x', '127.0.0.1:port', '[]:10800']) {
+                    try {
+                        await new IgniteClient().connect(new IgniteClientConfiguration(endpoint));
+                        done.fail('client is connected to wrong endpoint: ' + endpoint);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,139 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { IgniteClient, IgniteClientConfiguration, Errors } = require('apache-ignite-client');
+
+describe('offline queue test suite >', () => {
+    let igniteClient = null;
+
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                if (igniteClient) {
+                    igniteClient.disconnect();
+                    igniteClient = null;
+                }
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(_error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('operations wait for reconnection', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await connect({ maxSize: 10, maxWaitTime: 60000 });
+                await stopCluster();
+                const results = [];
+                for (let i = 0; i < 5; i++) {
+                    results.push(igniteClient.cacheNames());
+                }
+                await TestingHelper.startTestServers(false, 1);
+                for (let names of await Promise.all(results)) {
+                    expect(names).toBeArray();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('offline queue is full', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await connect({ maxSize: 2, maxWaitTime: 0 });
+                await stopCluster();
+                const results = [];
+                for (let i = 0; i < 3; i++) {
+                    results.push(igniteClient.cacheNames().then(() => null, (err) => err));
+                }
+                const error = await results[2];
+                expect(error instanceof Errors.OfflineQueueError).toBe(true);
+                igniteClient.disconnect();
+                for (let err of await Promise.all(results.slice(0, 2))) {
+                    expect(err instanceof Errors.IllegalStateError).toBe(true);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('operation waits too long', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await connect({ maxWaitTime: 500 });
+                await stopCluster();
+                try {
+                    await igniteClient.cacheNames();
+                    done.fail('operation is completed while the cluster is stopped');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.OfflineQueueError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set wrong offline queue options', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const wrongOptions = [
+                    { maxSize: 0 },
+                    { maxSize: 1.5 },
+                    { maxWaitTime: -1 }
+                ];
+                for (let options of wrongOptions) {
+                    try {
+                        new IgniteClientConfiguration('127.0.0.1:10800').setOfflineQueue(options);
+                        done.fail('wrong offline queue options are accepted: ' + JSON.stringify(options));
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function connect(offlineQueueOptions) {
+        igniteClient = new IgniteClient();
+        await igniteClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+            setAutoReconnect({ initialDelay: 100, maxDelay: 1000 }).
+            setOfflineQueue(offlineQueueOptions));
+    }
+
+    async function stopCluster() {
+        await TestingHelper.stopTestServers();
+        await TestingHelper.waitForConditionOrThrow(
+            () => igniteClient._router._state === IgniteClient.STATE.CONNECTING, 10000);
+    }
+});
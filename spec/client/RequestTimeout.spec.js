@@ -0,0 +1,164 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { CacheEntry, Errors, IgniteClientConfiguration, ObjectType, ScanQuery } = require('apache-ignite-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('request timeout test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('operations with timeout', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear({ timeout: 10000 });
+                await cache.put(1, 1, { timeout: 10000 });
+                expect(await cache.get(1, { timeout: 10000 })).toBe(1);
+                expect(await cache.getSize({ timeout: 10000 })).toBe(1);
+                expect(await igniteClient.cacheNames({ timeout: 10000 })).toContain(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(1), { timeout: 10000 });
+                expect((await cursor.getAll({ timeout: 0 })).length).toBe(1);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('operations with default options', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                await cache.clear();
+                await cache.put(1, 1);
+                await cache.putAll([new CacheEntry(2, 2), new CacheEntry(3, 3)]);
+                expect(await cache.get(1)).toBe(1);
+                await cache.clearKey(1);
+                expect(await cache.get(1)).toBe(null);
+                await cache.clearKeys([2]);
+                await cache.removeKeys([3]);
+                expect(await cache.getSize()).toBe(0);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('late responses are discarded', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                const entries = [];
+                for (let i = 0; i < 1000; i++) {
+                    entries.push(i);
+                }
+                const results = await Promise.all(entries.map(
+                    (key) => cache.put(key, key, { timeout: 1 }).then(() => null, (err) => err)));
+                for (let err of results) {
+                    if (err !== null) {
+                        expect(err instanceof Errors.TimeoutError).toBe(true);
+                    }
+                }
+                // The connection is still usable after the late responses are received
+                await TestingHelper.sleep(1000);
+                await cache.put(1, 2);
+                expect(await cache.get(1)).toBe(2);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('late responses beyond the abandoned requests limit are discarded', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = getCache();
+                const socket = igniteClient._router.getConnection();
+                const keys = [];
+                for (let i = 0; i < 3000; i++) {
+                    keys.push(i);
+                }
+                await Promise.all(keys.map((key) => cache.put(key, key, { timeout: 1 }).catch(() => {})));
+                expect(socket._abandonedRequests.size <= 1000).toBe(true);
+                // The late responses of the dropped requests do not break the connection
+                await TestingHelper.sleep(1000);
+                await cache.put(1, 3);
+                expect(await cache.get(1)).toBe(3);
+                expect(igniteClient._router.getConnection()).toBe(socket);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set wrong timeout', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new IgniteClientConfiguration('127.0.0.1:10800').setRequestTimeout(-1);
+                    done.fail('negative request timeout is accepted');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+                for (let timeout of [-1, 1.5]) {
+                    try {
+                        await getCache().get(1, { timeout });
+                        done.fail('wrong operation timeout is accepted: ' + timeout);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    function getCache() {
+        return igniteClient.getCache(CACHE_NAME).
+            setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+            setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+    }
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -0,0 +1,184 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { IgniteClientConfiguration, RetryPolicy, RetryNonePolicy, RetryReadPolicy, RetryIdempotentPolicy,
+    ExponentialBackoffRetryPolicy, Errors } = require('apache-ignite-client');
+
+const OPERATION = RetryPolicy.OPERATION;
+
+describe('retry policy test suite >', () => {
+
+    function context(operation, attempt) {
+        return { operation: operation, attempt: attempt, error: new Errors.LostConnectionError('test') };
+    }
+
+    it('default retry policy', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const policy = new IgniteClientConfiguration('127.0.0.1:10800').retryPolicy;
+                expect(policy instanceof RetryIdempotentPolicy).toBe(true);
+                expect(policy.shouldRetry(context(OPERATION.CACHE_GET, 1))).toBe(true);
+                expect(policy.shouldRetry(context(OPERATION.CACHE_PUT, 3))).toBe(true);
+                expect(policy.shouldRetry(context(OPERATION.CACHE_PUT, 4))).toBe(false);
+                for (let operation of [OPERATION.CACHE_GET_AND_PUT, OPERATION.CACHE_GET_AND_REMOVE,
+                    OPERATION.CACHE_PUT_IF_ABSENT, OPERATION.CACHE_REPLACE, OPERATION.CACHE_REMOVE_KEY,
+                    OPERATION.QUERY_SQL_FIELDS, OPERATION.TX_START]) {
+                    expect(policy.shouldRetry(context(operation, 1))).toBe(false, 'operation ' + operation);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('built-in retry policies', (done) => {
+        Promise.resolve().
+            then(async () => {
+                expect(new RetryNonePolicy().shouldRetry(context(OPERATION.CACHE_GET, 1))).toBe(false);
+
+                const readPolicy = new RetryReadPolicy(1);
+                expect(readPolicy.shouldRetry(context(OPERATION.CACHE_GET_ALL, 1))).toBe(true);
+                expect(readPolicy.shouldRetry(context(OPERATION.CACHE_GET_ALL, 2))).toBe(false);
+                expect(readPolicy.shouldRetry(context(OPERATION.CACHE_PUT, 1))).toBe(false);
+                expect(readPolicy.getRetryDelay(context(OPERATION.CACHE_GET_ALL, 1))).toBe(0);
+
+                const backoffPolicy = new ExponentialBackoffRetryPolicy(10, 100, 500);
+                expect(backoffPolicy.shouldRetry(context(OPERATION.CACHE_PUT, 10))).toBe(true);
+                expect(backoffPolicy.shouldRetry(context(OPERATION.CACHE_PUT, 11))).toBe(false);
+                expect(backoffPolicy.shouldRetry(context(OPERATION.CACHE_GET_AND_PUT, 1))).toBe(false);
+                expect([1, 2, 3, 4, 5].map(attempt => backoffPolicy.getRetryDelay(context(OPERATION.CACHE_GET, attempt)))).
+                    toEqual([100, 200, 400, 500, 500]);
+
+                const readBackoffPolicy = new ExponentialBackoffRetryPolicy(10, 100, 500, true);
+                expect(readBackoffPolicy.shouldRetry(context(OPERATION.CACHE_GET, 1))).toBe(true);
+                expect(readBackoffPolicy.shouldRetry(context(OPERATION.CACHE_PUT, 1))).toBe(false);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('custom retry policy is consulted on timeout', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                const igniteClient = TestingHelper.makeClient();
+                try {
+                    const contexts = [];
+                    await igniteClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                        setRetryPolicy({ shouldRetry: (context) => contexts.push(context) < 0 }));
+                    const results = [];
+                    for (let i = 0; i < 100; i++) {
+                        results.push(igniteClient.cacheNames({ timeout: 1 }).then(() => null, (err) => err));
+                    }
+                    const errors = (await Promise.all(results)).filter(err => err !== null);
+                    expect(contexts.length).toBe(errors.length);
+                    for (let i = 0; i < errors.length; i++) {
+                        expect(errors[i] instanceof Errors.TimeoutError).toBe(true);
+                        expect(contexts[i].operation).toBe(OPERATION.CACHE_GET_NAMES);
+                        expect(contexts[i].attempt).toBe(1);
+                        expect(contexts[i].error instanceof Errors.TimeoutError).toBe(true);
+                    }
+                }
+                finally {
+                    igniteClient.disconnect();
+                    await TestingHelper.cleanUp();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('operation is retried within its timeout and until aborted', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                const igniteClient = TestingHelper.makeClient();
+                try {
+                    await igniteClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                        setRetryPolicy(new ExponentialBackoffRetryPolicy(10, 200, 200)));
+                    const timeouts = [];
+                    spyOn(igniteClient._router, '_send').and.callFake(async (...args) => {
+                        const options = args[4];
+                        timeouts.push(options ? options.timeout : undefined);
+                        throw new Errors.LostConnectionError('test');
+                    });
+
+                    let start = Date.now();
+                    try {
+                        await igniteClient.cacheNames({ timeout: 500 });
+                        throw 'Operation failure is expected';
+                    }
+                    catch (err) {
+                        expect(err instanceof Errors.LostConnectionError).toBe(true);
+                    }
+                    expect(Date.now() - start < 500).toBe(true);
+                    expect(timeouts.length > 1).toBe(true);
+                    for (let i = 1; i < timeouts.length; i++) {
+                        expect(timeouts[i] < timeouts[i - 1]).toBe(true);
+                    }
+
+                    const controller = new AbortController();
+                    setTimeout(() => controller.abort(), 50);
+                    start = Date.now();
+                    try {
+                        await igniteClient.cacheNames({ signal: controller.signal });
+                        throw 'Operation abort is expected';
+                    }
+                    catch (err) {
+                        expect(err instanceof Errors.AbortError).toBe(true);
+                    }
+                    expect(Date.now() - start < 200).toBe(true);
+                }
+                finally {
+                    igniteClient.disconnect();
+                    await TestingHelper.cleanUp();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set wrong retry policy', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const wrongArgs = [
+                    () => new IgniteClientConfiguration('127.0.0.1:10800').setRetryPolicy({}),
+                    () => new IgniteClientConfiguration('127.0.0.1:10800').setRetryPolicy('never'),
+                    () => new RetryReadPolicy(-1),
+                    () => new RetryIdempotentPolicy(1.5),
+                    () => new ExponentialBackoffRetryPolicy(5, -1),
+                    () => new ExponentialBackoffRetryPolicy(5, 1000, 100)
+                ];
+                for (let wrongArg of wrongArgs) {
+                    try {
+                        wrongArg();
+                        done.fail('wrong retry policy argument is accepted');
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+                expect(new IgniteClientConfiguration('127.0.0.1:10800').setRetryPolicy(null).retryPolicy).toBe(null);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,76 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { ServerInfo } = require('apache-ignite-client');
+
+describe('server info test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('get server info', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const serverInfo = igniteClient.getServerInfo();
+                expect(serverInfo.protocolVersion).toMatch(/^1\.\d+\.\d+$/);
+                expect(serverInfo.features).toBeArray();
+                for (let feature of serverInfo.features) {
+                    expect(Object.values(ServerInfo.FEATURE)).toContain(feature);
+                    expect(serverInfo.isFeatureSupported(feature)).toBe(true);
+                }
+                if (serverInfo.nodeId !== null) {
+                    expect(serverInfo.nodeId.length).toBe(16);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('features are not modifiable', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const serverInfo = igniteClient.getServerInfo();
+                const features = serverInfo.features;
+                features.push(-1);
+                expect(serverInfo.features).not.toContain(-1);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,143 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const Util = require('util');
+const TestingHelper = require('../TestingHelper');
+const { IgniteClient, Errors } = require('apache-ignite-client');
+
+describe('services test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('invoke unknown service', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const proxy = igniteClient.services().getServiceProxy('__unknown_service');
+                try {
+                    await proxy.someMethod(1, 'a');
+                    done.fail('unknown service is invoked');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.OperationError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('service proxy is not thenable and can be inspected', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const services = igniteClient.services();
+                const invoke = spyOn(services, '_invoke').and.callThrough();
+                const proxy = services.getServiceProxy('__unknown_service', { sticky: true });
+                expect(proxy.then).toBeUndefined();
+                expect(await Promise.resolve(proxy)).toBe(proxy);
+                for (let property of ['toJSON', 'toString', 'constructor', 'inspect', 'valueOf']) {
+                    expect(proxy[property]).toBeUndefined();
+                }
+                expect(JSON.stringify(proxy)).toBe('{}');
+                Util.inspect(proxy);
+                expect(invoke).not.toHaveBeenCalled();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('invoke service of disconnected client', (done) => {
+        Promise.resolve().
+            then(async () => {
+                for (let sticky of [false, true]) {
+                    const proxy = new IgniteClient().services().getServiceProxy('__unknown_service', { sticky });
+                    let result = null;
+                    expect(() => { result = proxy.someMethod(1); }).not.toThrow();
+                    try {
+                        await result;
+                        done.fail('service of disconnected client is invoked');
+                    }
+                    catch (err) {
+                        TestingHelper.checkError(err, Errors.IllegalStateError, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get service descriptors', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const descriptors = await igniteClient.services().getServiceDescriptors();
+                expect(descriptors).toBeArray();
+                try {
+                    await igniteClient.services().getServiceDescriptor('__unknown_service');
+                    done.fail('descriptor of unknown service is returned');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.OperationError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get service proxy with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const services = igniteClient.services();
+                const operations = [
+                    () => services.getServiceProxy(null),
+                    () => services.getServiceProxy(''),
+                    () => services.getServiceProxy('service', { timeout: 1.5 }),
+                    () => igniteClient.services(1)
+                ];
+                for (let operation of operations) {
+                    try {
+                        operation();
+                        done.fail('service proxy is created with wrong args');
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
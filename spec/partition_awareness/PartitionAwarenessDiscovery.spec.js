@@ -0,0 +1,124 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { IgniteClientConfiguration } = require('apache-ignite-client');
+
+const SERVER_NUM = 3;
+
+describe('partition awareness node discovery test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.initClusterOnly(SERVER_NUM);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                if (igniteClient) {
+                    igniteClient.disconnect();
+                    igniteClient = null;
+                }
+            }).
+            then(done).
+            catch(_error => done());
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(_error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('client connects to the nodes which are not in the endpoints', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await connect(true);
+                await TestingHelper.waitForConditionOrThrow(
+                    () => igniteClient._router._getAllConnections().length === SERVER_NUM, 5000);
+                expect(await igniteClient.cacheNames()).toBeArray();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('client does not discover the nodes if the discovery is disabled', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await connect(false);
+                await TestingHelper.sleep(1000);
+                expect(igniteClient._router._getAllConnections().length).toBe(1);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('client forgets the node which has left', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const newNodeId = SERVER_NUM + 1;
+                await TestingHelper.startTestServer(false, newNodeId);
+                await connect(true);
+                await TestingHelper.waitForConditionOrThrow(
+                    () => igniteClient._router._getAllConnections().length === newNodeId, 10000);
+
+                await TestingHelper.killNodeByIdAndWait(newNodeId);
+                // The test servers listen on 10800 + server id ports
+                const isNewNodeEndpoint = (endpoint) => endpoint.endsWith(':' + (10800 + newNodeId));
+                await TestingHelper.waitForConditionOrThrow(async () => {
+                    await igniteClient.cacheNames();
+                    return igniteClient._router._getAllConnections().length === SERVER_NUM &&
+                        !igniteClient._router._inactiveEndpoints.some(isNewNodeEndpoint);
+                }, 10000);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('node discovery settings', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const config = new IgniteClientConfiguration('127.0.0.1:10800');
+                expect(config.nodeDiscovery).toBe(false);
+                expect(config.setNodeDiscovery(true).nodeDiscovery).toBe(true);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function connect(nodeDiscovery) {
+        igniteClient = TestingHelper.makeClient();
+        await igniteClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+            setConnectionOptions(false, null, true).
+            setNodeDiscovery(nodeDiscovery));
+        // The topology of the cluster is reported in the responses
+        await igniteClient.cacheNames();
+    }
+});
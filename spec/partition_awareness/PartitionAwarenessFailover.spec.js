@@ -21,7 +21,7 @@ require('jasmine-expect');
 
 const TestingHelper = require('../TestingHelper');
 const PartitionAwarenessTestUtils = require('./PartitionAwarenessTestUtils');
-const { ObjectType } = require('apache-ignite-client');
+const { CacheConfiguration, Errors, ObjectType, ScanQuery } = require('apache-ignite-client');
 
 const CACHE_NAME = '__test_cache';
 const SERVER_NUM = 3;
@@ -143,6 +143,76 @@ describe('partition awareness multiple connections failover test suite >', () =>
             catch(error => done.fail(error));
     });
 
+    it('cursor fails when its node is killed', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = await getCache(ObjectType.PRIMITIVE_TYPE.INTEGER, ObjectType.PRIMITIVE_TYPE.INTEGER);
+                for (let i = 0; i < 10; i++) {
+                    await cache.put(i, i);
+                }
+                await TestingHelper.waitForConditionOrThrow(
+                    () => igniteClient._router._getAllConnections().length === SERVER_NUM, 5000);
+
+                const cursor = await cache.query(new ScanQuery().setPageSize(1));
+                expect(await cursor.getValue()).not.toBe(null);
+
+                // The test servers listen on 10800 + server id ports
+                const serverId = parseInt(cursor._socket.endpoint.split(':')[1]) - 10800;
+                await TestingHelper.killNodeByIdAndWait(serverId);
+                await TestingHelper.waitForConditionOrThrow(() => cursor._socket.state !== 2, 5000);
+
+                try {
+                    await cursor.getValue();
+                    throw 'Cursor fail is expected';
+                }
+                catch (error) {
+                    expect(error instanceof Errors.CursorLostError).toBe(true);
+                    expect(error instanceof Errors.LostConnectionError).toBe(true);
+                }
+                expect(cursor.hasMore()).toBe(false);
+                await cursor.close();
+
+                expect(await igniteClient.cacheNames()).toBeArray();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('cursor restarts query when its node is killed', (done) => {
+        Promise.resolve().
+            then(async () => {
+                // The entries have to survive the node
+                const cacheCfg = PartitionAwarenessTestUtils.createCacheConfig().
+                    setCacheMode(CacheConfiguration.CACHE_MODE.REPLICATED);
+                const cache = await getCache(ObjectType.PRIMITIVE_TYPE.INTEGER, ObjectType.PRIMITIVE_TYPE.INTEGER,
+                    CACHE_NAME + '_replicated', cacheCfg);
+                const keys = [];
+                for (let i = 0; i < 100; i++) {
+                    await cache.put(i, i);
+                    keys.push(i);
+                }
+                await TestingHelper.waitForConditionOrThrow(
+                    () => igniteClient._router._getAllConnections().length === SERVER_NUM, 5000);
+
+                const cursor = await cache.query(new ScanQuery().setPageSize(1).setRestartOnFailover(true));
+                const entries = [];
+                for (let i = 0; i < 10; i++) {
+                    entries.push(await cursor.getValue());
+                }
+
+                // The test servers listen on 10800 + server id ports
+                const serverId = parseInt(cursor._socket.endpoint.split(':')[1]) - 10800;
+                await TestingHelper.killNodeByIdAndWait(serverId);
+
+                for (let entry of await cursor.getAll()) {
+                    entries.push(entry);
+                }
+                expect(entries.map((entry) => entry.getKey()).sort((a, b) => a - b)).toEqual(keys);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
     async function getCache(keyType, valueType, cacheName = CACHE_NAME, cacheCfg = null) {
         return await PartitionAwarenessTestUtils.getOrCreateCache(igniteClient, keyType, valueType, cacheName, cacheCfg);
     }
@@ -0,0 +1,178 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const PartitionAwarenessTestUtils = require('./PartitionAwarenessTestUtils');
+const { IgniteClientConfiguration, ObjectType, ScanQuery } = require('apache-ignite-client');
+
+const CACHE_NAME = '__test_cache';
+const SERVER_NUM = 3;
+const QUERY_SCAN = 2000;
+const QUERY_SCAN_CURSOR_GET_PAGE = 2001;
+
+describe('partition awareness load balancing test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.initClusterOnly(SERVER_NUM);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                if (igniteClient) {
+                    igniteClient.disconnect();
+                    igniteClient = null;
+                }
+            }).
+            then(done).
+            catch(_error => done());
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(_error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('sticky load balancing', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const requests = await connect(IgniteClientConfiguration.LOAD_BALANCING.STICKY);
+                for (let i = 0; i < 9; i++) {
+                    await igniteClient.cacheNames();
+                }
+                expect(getUsedConnections(requests).length).toBe(1);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('round-robin load balancing', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const requests = await connect(IgniteClientConfiguration.LOAD_BALANCING.ROUND_ROBIN);
+                // The connection at the current index is used first
+                const router = igniteClient._router;
+                const firstConnection = router._getAllConnections()[router._roundRobinIndex % SERVER_NUM];
+                await igniteClient.cacheNames();
+                expect(requests.get(firstConnection).length).toBe(1);
+                for (let i = 1; i < 9; i++) {
+                    await igniteClient.cacheNames();
+                }
+                const connections = getUsedConnections(requests);
+                expect(connections.length).toBe(SERVER_NUM);
+                for (let connection of connections) {
+                    expect(requests.get(connection).length).toBe(3);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('least-in-flight load balancing', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const requests = await connect(IgniteClientConfiguration.LOAD_BALANCING.LEAST_IN_FLIGHT);
+                const results = [];
+                for (let i = 0; i < 9; i++) {
+                    results.push(igniteClient.cacheNames());
+                }
+                await Promise.all(results);
+                expect(getUsedConnections(requests).length).toBe(SERVER_NUM);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('cursor requests stay on the connection of the query', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const requests = await connect(IgniteClientConfiguration.LOAD_BALANCING.ROUND_ROBIN);
+                const cache = await PartitionAwarenessTestUtils.getOrCreateCache(
+                    igniteClient, ObjectType.PRIMITIVE_TYPE.INTEGER, ObjectType.PRIMITIVE_TYPE.INTEGER, CACHE_NAME);
+                for (let i = 0; i < 10; i++) {
+                    await cache.put(i, i);
+                }
+                for (let connection of requests.keys()) {
+                    requests.set(connection, []);
+                }
+                const cursor = await cache.query(new ScanQuery().setPageSize(1));
+                expect((await cursor.getAll()).length).toBe(10);
+                const connections = getUsedConnections(requests);
+                expect(connections.length).toBe(1);
+                const opCodes = requests.get(connections[0]);
+                expect(opCodes[0]).toBe(QUERY_SCAN);
+                expect(opCodes.filter(opCode => opCode === QUERY_SCAN_CURSOR_GET_PAGE).length).toBe(opCodes.length - 1);
+                await igniteClient.destroyCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set wrong load balancing strategy', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new IgniteClientConfiguration('127.0.0.1:10800').setLoadBalancing(5);
+                    done.fail('wrong load balancing strategy is accepted');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    // Connects the client to all the nodes and returns {connection -> array of op codes} map
+    // of the requests made by the client
+    async function connect(strategy) {
+        igniteClient = TestingHelper.makeClient();
+        await igniteClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(SERVER_NUM)).
+            setConnectionOptions(false, null, true).
+            setLoadBalancing(strategy));
+        await TestingHelper.waitForConditionOrThrow(
+            () => igniteClient._router._getAllConnections().length === SERVER_NUM, 5000);
+        const requests = new Map();
+        for (let connection of igniteClient._router._getAllConnections()) {
+            requests.set(connection, []);
+            const sendRequest = connection.sendRequest.bind(connection);
+            connection.sendRequest = (opCode, ...args) => {
+                requests.get(connection).push(opCode);
+                return sendRequest(opCode, ...args);
+            };
+        }
+        return requests;
+    }
+
+    function getUsedConnections(requests) {
+        return [...requests.keys()].filter(connection => requests.get(connection).length > 0);
+    }
+});
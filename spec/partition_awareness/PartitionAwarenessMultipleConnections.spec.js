@@ -21,7 +21,7 @@ require('jasmine-expect');
 
 const TestingHelper = require('../TestingHelper');
 const PartitionAwarenessTestUtils = require('./PartitionAwarenessTestUtils');
-const { ObjectType } = require('apache-ignite-client');
+const { CacheEntry, ComplexObjectType, Errors, ObjectType } = require('apache-ignite-client');
 
 const CACHE_NAME = '__test_cache';
 const CUSTOM_AFFINITY_CACHE = 'custom-affinity';
@@ -177,6 +177,99 @@ describe('partition awareness multiple connections test suite >', () => {
             catch(error => done.fail(error));
     });
 
+    it('batch operations with partition awareness are split by node', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = await getOrCreateCache(ObjectType.PRIMITIVE_TYPE.INTEGER, ObjectType.PRIMITIVE_TYPE.INTEGER);
+                await TestingHelper.waitForConditionOrThrow(
+                    () => igniteClient._router._getAllConnections().length === SERVER_NUM, 5000);
+                const keys = [];
+                for (let i = 0; i < 50; i++) {
+                    keys.push(i);
+                }
+
+                const send = spyOn(igniteClient._router, 'send').and.callThrough();
+                await cache.putAll(keys.map((key) => new CacheEntry(key, key * 2)));
+                // Every node receives the keys it is primary for
+                const sockets = await Promise.all(send.calls.all().
+                    filter((call) => call.args[3] !== null).
+                    map((call) => call.returnValue));
+                expect(sockets.length).toBe(SERVER_NUM);
+                expect(new Set(sockets).size).toBe(SERVER_NUM);
+
+                const reversedKeys = keys.slice().reverse();
+                const entries = await cache.getAll(reversedKeys);
+                expect(entries.map((entry) => entry.getKey())).toEqual(reversedKeys);
+                expect(entries.map((entry) => entry.getValue())).toEqual(reversedKeys.map((key) => key * 2));
+                expect(await cache.containsKeys(keys)).toBe(true);
+
+                await cache.removeKeys(keys.slice(0, 10));
+                expect(await cache.containsKeys(keys)).toBe(false);
+                expect((await cache.getAll(keys)).length).toBe(keys.length - 10);
+                await cache.clearKeys(keys);
+                expect((await cache.getAll(keys)).length).toBe(0);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get all with partition awareness keeps order of composite keys', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const keyType = new ComplexObjectType({ id: 0, name: '' }, 'BatchCompositeKey');
+                const cache = await getOrCreateCache(keyType, ObjectType.PRIMITIVE_TYPE.INTEGER);
+                await TestingHelper.waitForConditionOrThrow(
+                    () => igniteClient._router._getAllConnections().length === SERVER_NUM, 5000);
+                await cache.clear();
+                const keys = [];
+                for (let i = 0; i < 50; i++) {
+                    keys.push({ id: i, name: 'key' + i });
+                }
+                await cache.putAll(keys.map((key) => new CacheEntry(key, key.id * 2)));
+
+                // The keys read from the server are new objects which are matched by their hash codes
+                const reversedKeys = keys.slice().reverse();
+                const entries = await cache.getAll(reversedKeys);
+                expect(entries.map((entry) => entry.getKey().id)).toEqual(reversedKeys.map((key) => key.id));
+                expect(entries.map((entry) => entry.getValue())).toEqual(reversedKeys.map((key) => key.id * 2));
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('batch operation with partition awareness reports failed keys', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = await getOrCreateCache(ObjectType.PRIMITIVE_TYPE.INTEGER, ObjectType.PRIMITIVE_TYPE.INTEGER);
+                await TestingHelper.waitForConditionOrThrow(
+                    () => igniteClient._router._getAllConnections().length === SERVER_NUM, 5000);
+                const keys = [];
+                for (let i = 0; i < 50; i++) {
+                    keys.push(i);
+                }
+                const signal = {
+                    aborted: true,
+                    addEventListener: () => {},
+                    removeEventListener: () => {}
+                };
+                try {
+                    await cache.getAll(keys, { signal: signal });
+                    throw 'Batch operation fail is expected';
+                }
+                catch (error) {
+                    expect(error instanceof Errors.BatchOperationError).toBe(true);
+                    expect(error.getFailedKeys().sort((a, b) => a - b)).toEqual(keys);
+                    expect(error.getErrors().length).toBe(SERVER_NUM);
+                    for (let err of error.getErrors()) {
+                        expect(err instanceof Errors.AbortError).toBe(true);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
     async function getOrCreateCache(keyType, valueType, cacheName = CACHE_NAME, cacheCfg = null) {
         return await PartitionAwarenessTestUtils.getOrCreateCache(igniteClient, keyType, valueType, cacheName, cacheCfg);
     }
@@ -146,6 +146,299 @@ describe('scan query test suite >', () => {
             catch(error => done.fail(error));
     });
 
+    it('iterate cursor', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(3));
+                const set = new Set();
+                for await (let cacheEntry of cursor) {
+                    expect(generateValue(cacheEntry.getKey()) === cacheEntry.getValue()).toBe(true);
+                    set.add(cacheEntry.getKey());
+                }
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('break cursor iteration', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(1));
+                for await (let cacheEntry of cursor) {
+                    break;
+                }
+                expect(cursor.hasMore()).toBe(false);
+                expect(await cursor.getValue()).toBe(null);
+                await cursor.close();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('read cursor stream', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(2));
+                const set = new Set();
+                for await (let cacheEntry of cursor.toStream()) {
+                    expect(generateValue(cacheEntry.getKey()) === cacheEntry.getValue()).toBe(true);
+                    set.add(cacheEntry.getKey());
+                }
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('destroy cursor stream', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(1));
+                const stream = cursor.toStream();
+                await new Promise((resolve, reject) => {
+                    stream.once('data', () => stream.destroy());
+                    stream.once('close', resolve);
+                    stream.once('error', reject);
+                });
+                expect(cursor.hasMore()).toBe(false);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get value with prefetched pages', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(1).setPrefetchPages(3));
+                const set = new Set();
+                do {
+                    let cacheEntry = await cursor.getValue();
+                    expect(generateValue(cacheEntry.getKey()) === cacheEntry.getValue()).toBe(true);
+                    set.add(cacheEntry.getKey());
+                    expect(cursor.getPrefetchedBytes() >= 0).toBe(true);
+                } while (cursor.hasMore());
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+                expect(cursor.getPrefetchedBytes()).toBe(0);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get all with prefetched pages', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const expectedKeys = (await (await cache.query(new ScanQuery().setPageSize(1))).getAll()).
+                    map((cacheEntry) => cacheEntry.getKey());
+                expect(expectedKeys.length).toBe(ELEMENTS_NUMBER);
+                for (let pages of [2, 5, ELEMENTS_NUMBER * 2]) {
+                    const cursor = await cache.query(new ScanQuery().setPageSize(1).setPrefetchPages(pages));
+                    const cacheEntries = await cursor.getAll();
+                    for (let cacheEntry of cacheEntries) {
+                        expect(generateValue(cacheEntry.getKey()) === cacheEntry.getValue()).toBe(true);
+                    }
+                    expect(cacheEntries.map((cacheEntry) => cacheEntry.getKey())).toEqual(expectedKeys);
+                    expect(cursor.getPrefetchedBytes()).toBe(0);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get all with prefetched pages and bytes limit', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const expectedKeys = (await (await cache.query(new ScanQuery().setPageSize(1))).getAll()).
+                    map((cacheEntry) => cacheEntry.getKey());
+                const cursor = await cache.query(new ScanQuery().setPageSize(1).setPrefetchPages(5, 1));
+                const keys = [];
+                while (cursor.hasMore()) {
+                    keys.push((await cursor.getValue()).getKey());
+                    // The next page is not requested in advance while a received page is not consumed
+                    await TestingHelper.sleep(50);
+                    expect(cursor._prefetchQueue.filter((page) => page.size > 0).length <= 1).toBe(true);
+                }
+                expect(keys).toEqual(expectedKeys);
+                expect(cursor.getPrefetchedBytes()).toBe(0);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('close cursor with prefetched pages', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(1).setPrefetchPages(5, 1024));
+                await cursor.getValue();
+                await cursor.getValue();
+                await cursor.close();
+                expect(cursor.getPrefetchedBytes()).toBe(0);
+                expect(await cursor.getValue()).toBe(null);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set wrong prefetch pages', (done) => {
+        Promise.resolve().
+            then(async () => {
+                for (let args of [[-1], [1.5], [2, -10]]) {
+                    try {
+                        new ScanQuery().setPrefetchPages(...args);
+                        done.fail('wrong prefetch settings are accepted: ' + args);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('scan all partitions', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                for (let concurrency of [1, 4, 1024]) {
+                    const set = new Set();
+                    for await (let cacheEntry of cache.scanAllPartitions(new ScanQuery().setPageSize(1), { concurrency })) {
+                        expect(generateValue(cacheEntry.getKey()) === cacheEntry.getValue()).toBe(true);
+                        set.add(cacheEntry.getKey());
+                    }
+                    expect(set.size).toBe(ELEMENTS_NUMBER);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('scan all partitions by partition queries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const partitions = await cache._getScanPartitions();
+                expect(partitions.length > 1).toBe(true);
+                const queried = [];
+                const query = cache._query.bind(cache);
+                spyOn(cache, '_query').and.callFake((scanQuery, ...args) => {
+                    queried.push(scanQuery._partitionNumber);
+                    return query(scanQuery, ...args);
+                });
+                const set = new Set();
+                for await (let cacheEntry of cache.scanAllPartitions(new ScanQuery(), { concurrency: 16 })) {
+                    set.add(cacheEntry.getKey());
+                }
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+                expect(queried.sort((a, b) => a - b)).toEqual(partitions);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('break scan of all partitions', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                let count = 0;
+                for await (let cacheEntry of cache.scanAllPartitions(new ScanQuery().setPageSize(1))) {
+                    if (++count === 3) {
+                        break;
+                    }
+                }
+                expect(count).toBe(3);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('scan all partitions with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                for (let args of [[null], [new ScanQuery(), { concurrency: 0 }], [new ScanQuery(), { concurrency: 1.5 }]]) {
+                    try {
+                        cache.scanAllPartitions(...args);
+                        done.fail('scan is started with wrong args: ' + args);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('resumable scan', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const scan = cache.resumableScan(new ScanQuery().setPageSize(1), { concurrency: 2 });
+                expect(scan.getCheckpoint().partitions).toBe(null);
+                const set = new Set();
+                for await (let cacheEntry of scan) {
+                    expect(generateValue(cacheEntry.getKey()) === cacheEntry.getValue()).toBe(true);
+                    set.add(cacheEntry.getKey());
+                }
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+                expect(scan.isFinished()).toBe(true);
+                const checkpoint = scan.getCheckpoint();
+                expect(checkpoint.finishedPartitions).toEqual(checkpoint.partitions);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('resume scan from checkpoint', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const set = new Set();
+                const scan = cache.resumableScan(new ScanQuery(), { concurrency: 1 });
+                for await (let cacheEntry of scan) {
+                    set.add(cacheEntry.getKey());
+                    if (scan.getCheckpoint().finishedPartitions.length > 0) {
+                        break;
+                    }
+                }
+                const checkpoint = JSON.parse(JSON.stringify(scan.getCheckpoint()));
+                const resumedScan = cache.resumableScan(new ScanQuery(), { checkpoint });
+                for await (let cacheEntry of resumedScan) {
+                    set.add(cacheEntry.getKey());
+                }
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+                expect(resumedScan.isFinished()).toBe(true);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('resume scan from checkpoint of other cache', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const checkpoint = { cacheName: 'other_cache', partitions: null, finishedPartitions: [] };
+                try {
+                    cache.resumableScan(new ScanQuery(), { checkpoint });
+                    done.fail('scan is resumed from checkpoint of other cache');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
     it('scan query settings', (done) => {
         Promise.resolve().
             then(async () => {
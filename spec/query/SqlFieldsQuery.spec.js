@@ -176,6 +176,41 @@ describe('sql fields query test suite >', () => {
             catch(error => done.fail(error));
     });
 
+    it('iterate cursor', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(
+                    new SqlFieldsQuery(`SELECT * FROM ${TABLE_NAME}`).setPageSize(3));
+                const set = new Set();
+                for await (let fields of cursor) {
+                    expect(fields.length).toBe(2);
+                    expect(generateValue(fields[0]) === fields[1]).toBe(true);
+                    set.add(fields[0]);
+                }
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('read cursor stream', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(
+                    new SqlFieldsQuery(`SELECT * FROM ${TABLE_NAME}`).setPageSize(2));
+                const set = new Set();
+                for await (let fields of cursor.toStream()) {
+                    expect(generateValue(fields[0]) === fields[1]).toBe(true);
+                    set.add(fields[0]);
+                }
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
     it('sql fields query settings', (done) => {
         Promise.resolve().
             then(async () => {
@@ -203,6 +238,51 @@ describe('sql fields query test suite >', () => {
             catch(error => done.fail(error));
     });
 
+    it('restart on failover of deterministic query', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(
+                    new SqlFieldsQuery(`SELECT field1 FROM ${TABLE_NAME} ORDER BY field1`).
+                        setPageSize(2).
+                        setRestartOnFailover(true));
+                const rows = await cursor.getAll();
+                expect(rows.length).toBe(ELEMENTS_NUMBER);
+                for (let i = 0; i < ELEMENTS_NUMBER; i++) {
+                    expect(rows[i][0]).toBe(i);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('restart on failover of unsafe query', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const queries = [
+                    new SqlFieldsQuery(`SELECT field1 FROM ${TABLE_NAME}`),
+                    new SqlFieldsQuery(`SELECT field1 FROM ${TABLE_NAME} ORDER BY field1`).setLocal(true),
+                    new SqlFieldsQuery(`SELECT field1 FROM ${TABLE_NAME} ORDER BY field1`).
+                        setStatementType(SqlFieldsQuery.STATEMENT_TYPE.UPDATE),
+                    new SqlFieldsQuery(`DELETE FROM ${TABLE_NAME} WHERE field1 IN (SELECT field1 FROM ${TABLE_NAME} ORDER BY field1)`)
+                ];
+                for (let query of queries) {
+                    try {
+                        await cache.query(query.setRestartOnFailover(true));
+                        done.fail('unsafe query is restarted on failover: ' + query._sql);
+                    }
+                    catch (err) {
+                        TestingHelper.checkIllegalArgumentError(err, done);
+                    }
+                }
+                const cursor = await cache.query(new SqlFieldsQuery(`SELECT COUNT(*) FROM ${TABLE_NAME}`));
+                expect((await cursor.getAll())[0][0]).toBe(ELEMENTS_NUMBER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
     it('get empty results', (done) => {
         Promise.resolve().
             then(async () => {
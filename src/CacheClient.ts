@@ -17,6 +17,7 @@
 
 'use strict';
 
+import * as Util from "util";
 import BinaryUtils from "./internal/BinaryUtils";
 import ArgumentChecker from "./internal/ArgumentChecker";
 import {ScanQuery, SqlFieldsQuery, SqlQuery} from "./Query";
@@ -24,6 +25,71 @@ import BinaryCommunicator from "./internal/BinaryCommunicator";
 import {PRIMITIVE_TYPE} from "./internal/Constants";
 import { CompositeType } from "./ObjectType";
 import {CacheConfiguration} from "./CacheConfiguration";
+import {ContinuousQueryHandle, ContinuousQueryListener, ContinuousQueryOptions} from "./ContinuousQuery";
+import ExpiryPolicyUtils from "./internal/ExpiryPolicyUtils";
+import {AbortError, BatchOperationError, FeatureNotSupportedError, IgniteClientError} from "./Errors";
+import {BaseCursor} from "./Cursor";
+import {ResumableScan, ScanCheckpoint} from "./ResumableScan";
+import ClientSocket from "./internal/ClientSocket";
+import {OperationOptions} from "./OperationOptions";
+import {Transaction} from "./Transaction";
+
+// Cache info flags
+const FLAG_KEEP_BINARY = 0x01;
+const FLAG_TRANSACTIONAL = 0x02;
+const FLAG_WITH_EXPIRY_POLICY = 0x04;
+
+const SCAN_CONCURRENCY_DEFAULT = 4;
+
+/**
+ * Options of a scan over all the partitions of a cache.
+ *
+ * @typedef ScanAllPartitionsOptions
+ * @property {number} [concurrency=4] - maximal number of partitions scanned at the same time.
+ */
+export interface ScanAllPartitionsOptions {
+    concurrency?: number;
+}
+
+/**
+ * Options of a resumable scan over all the partitions of a cache.
+ *
+ * @typedef ResumableScanOptions
+ * @property {number} [concurrency=4] - maximal number of partitions scanned at the same time.
+ * @property {ScanCheckpoint} [checkpoint] - checkpoint of a previous scan of the same cache
+ *   to resume from; if not specified, all the partitions are scanned.
+ */
+export interface ResumableScanOptions extends ScanAllPartitionsOptions {
+    checkpoint?: ScanCheckpoint;
+}
+
+/**
+ * @ignore
+ */
+interface PartitionScan {
+    partition: number;
+    cursor: BaseCursor<CacheEntry>;
+    values: CacheEntry[];
+    next: Promise<PartitionScan>;
+}
+
+/**
+ * Expiry policy of cache entries: time to live of an entry after it is created, updated or accessed.
+ *
+ * Every duration is specified in milliseconds. Infinity means the entry never expires,
+ * 0 means the entry expires immediately, null or no value means the time to live
+ * of the entry is not changed by the corresponding operation.
+ *
+ * @typedef ExpiryPolicy
+ * @property {number} [create] - time to live of a created entry.
+ * @property {number} [update] - time to live of an entry after it is updated.
+ * @property {number} [access] - time to live of an entry after it is accessed.
+ */
+export interface ExpiryPolicy {
+    create?: number;
+    update?: number;
+    access?: number;
+}
 
 /**
  * Peek modes
@@ -64,6 +130,9 @@ export class CacheClient {
     private _valueType: PRIMITIVE_TYPE | CompositeType;
     private _name: string;
     private _config: CacheConfiguration;
+    private _expiryPolicy: ExpiryPolicy;
+    private _keepBinary: boolean;
+    private _transaction: Transaction;
 
     static get PEEK_MODE() {
         return PEEK_MODE;
@@ -129,6 +198,90 @@ export class CacheClient {
         return this;
     }
 
+    /**
+     * Returns a new cache client for the same cache which applies the specified expiry policy
+     * to the entries created, updated or accessed through it.
+     * The policy overrides the expiry policy of the cache configuration.
+     *
+     * The new cache client has the same key and value types, keep binary mode and transaction as this one
+     * at the moment of the call. This cache client is not changed.
+     *
+     * The expiry policy needs Ignite server with protocol version 1.6.0 or higher,
+     * operations of the returned cache client fail with {@link FeatureNotSupportedError} otherwise.
+     *
+     * @param {ExpiryPolicy} expiryPolicy - expiry policy, e.g. { create: 60000, access: 60000 },
+     *   or null (means the expiry policy of the cache configuration is used).
+     *
+     * @return {CacheClient} - new cache client instance.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    withExpiryPolicy(expiryPolicy: ExpiryPolicy): CacheClient {
+        if (expiryPolicy !== null) {
+            ExpiryPolicyUtils.check(expiryPolicy, 'expiryPolicy');
+        }
+        const cache = this._copy();
+        cache._expiryPolicy = expiryPolicy === null ? null : {
+            create: expiryPolicy.create,
+            update: expiryPolicy.update,
+            access: expiryPolicy.access
+        };
+        return cache;
+    }
+
+    /**
+     * Returns a new cache client for the same cache which keeps complex objects
+     * in the binary form.
+     *
+     * Keys and values of the cache entries, results of Scan and SQL queries and
+     * events of continuous queries, which are complex objects, are returned as {@link BinaryObject}
+     * instances, even if a {@link ComplexObjectType} is specified for the keys, values or fields.
+     * The fields of such objects can be read by {@link BinaryObject#getField}
+     * with no need to deserialize the whole object. Objects of primitive types are returned as usual.
+     *
+     * The key and value types of the new cache client are still used to write keys and values.
+     * The new cache client has the same key and value types, expiry policy and transaction as this one
+     * at the moment of the call. This cache client is not changed.
+     *
+     * @return {CacheClient} - new cache client instance.
+     */
+    withKeepBinary(): CacheClient {
+        const cache = this._copy();
+        cache._keepBinary = true;
+        return cache;
+    }
+
+    /**
+     * Returns a new cache client for the same cache which performs the Key-Value operations
+     * within the specified transaction.
+     *
+     * The Key-Value operations of the new cache client are sent to the Ignite node
+     * the transaction has been started on. SQL, Scan and continuous queries are not transactional
+     * and are performed as usual. Once the transaction is closed, the Key-Value operations
+     * of the new cache client fail with {@link IgniteClientError}.
+     *
+     * The new cache client has the same key and value types, expiry policy and keep binary mode as this one
+     * at the moment of the call. This cache client is not changed.
+     *
+     * @param {Transaction} transaction - transaction started by {@link IgniteClient#txStart} of the same client,
+     *   or null (means the operations are not transactional).
+     *
+     * @return {CacheClient} - new cache client instance.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    withTransaction(transaction: Transaction): CacheClient {
+        if (transaction !== null) {
+            ArgumentChecker.hasType(transaction, 'transaction', false, Transaction);
+            if (transaction._getCommunicator() !== this._communicator) {
+                throw IgniteClientError.illegalArgumentError('Transaction has been started by another client');
+            }
+        }
+        const cache = this._copy();
+        cache._transaction = transaction;
+        return cache;
+    }
+
     /* Methods to operate with the cache using Key-Value Queries */
 
     /**
@@ -137,13 +290,14 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<*>} - value associated with the specified key, or null if it does not exist.
      *
      * @throws {IgniteClientError} if error.
      */
-    async get(key) {
-        return await this._writeKeyReadValueOp(BinaryUtils.OPERATION.CACHE_GET, key);
+    async get(key, options: OperationOptions = {}) {
+        return await this._writeKeyReadValueOp(BinaryUtils.OPERATION.CACHE_GET, key, options);
     }
 
     /**
@@ -152,32 +306,61 @@ export class CacheClient {
      * @async
      *
      * @param {Array<*>} keys - keys.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<Array<CacheEntry>>} - the retrieved entries (key-value pairs).
      *   Entries with the keys which do not exist in the cache are not included into the array.
      *
-     * @throws {IgniteClientError} if error.
+     * @throws {BatchOperationError} if the keys have been split between the nodes and some of the parts have failed.
+     * @throws {IgniteClientError} if other error.
      */
-    async getAll(keys) {
+    async getAll(keys, options: OperationOptions = {}) {
         ArgumentChecker.notEmpty(keys, 'keys');
         ArgumentChecker.hasType(keys, 'keys', false, Array);
-        let result = null;
-        await this._communicator.send(
-            BinaryUtils.OPERATION.CACHE_GET_ALL,
-            async (payload) => {
-                this._writeCacheInfo(payload);
-                await this._writeKeys(payload, keys);
-            },
-            async (payload) => {
-                const resultCount = payload.readInteger();
-                result = new Array(resultCount);
-                for (let i = 0; i < resultCount; i++) {
-                    result[i] = new CacheEntry(
-                        await this._communicator.readObject(payload, this._getKeyType()),
-                        await this._communicator.readObject(payload, this._getValueType()));
+        const results = await this._sendByNode(keys, async (indexes, affinityHint) => {
+            let result: CacheEntry[] = null;
+            await this._communicator.send(
+                BinaryUtils.OPERATION.CACHE_GET_ALL,
+                async (payload, socket) => {
+                    this._writeCacheInfo(payload, socket, true);
+                    await this._writeKeys(payload, indexes.map((index) => keys[index]));
+                },
+                async (payload) => {
+                    const resultCount = payload.readInteger();
+                    result = new Array(resultCount);
+                    for (let i = 0; i < resultCount; i++) {
+                        result[i] = new CacheEntry(
+                            await this._communicator.readObject(payload, this._getKeyReadType()),
+                            await this._communicator.readObject(payload, this._getValueReadType()));
+                    }
+                },
+                affinityHint,
+                this._getTransactionSocket(),
+                options);
+            return { indexes: indexes, entries: result };
+        });
+        if (results.length === 1) {
+            return results[0].entries;
+        }
+        // The entries of all the parts are merged in the order of the keys. The keys read from the server
+        // are not the same objects as the original ones, so they are matched by the affinity hash codes
+        const positioned: Array<[number, CacheEntry]> = [];
+        for (const part of results) {
+            const positions = new Map<number, number[]>();
+            for (const index of part.indexes) {
+                const hashCode = await this._communicator.getKeyHashCode(keys[index], this._keyType);
+                if (!positions.has(hashCode)) {
+                    positions.set(hashCode, []);
                 }
-            });
-        return result;
+                positions.get(hashCode).push(index);
+            }
+            for (const entry of part.entries) {
+                // The keys with equal hash codes are matched in the order of the keys
+                const indexes = positions.get(await this._communicator.getKeyHashCode(entry.getKey(), this._getKeyReadType()));
+                positioned.push([indexes && indexes.length > 0 ? indexes.shift() : part.indexes[0], entry]);
+            }
+        }
+        return positioned.sort((a, b) => a[0] - b[0]).map((entry) => entry[1]);
     }
 
     /**
@@ -190,11 +373,12 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @throws {IgniteClientError} if error.
      */
-    async put(key, value) {
-        await this._writeKeyValueOp(BinaryUtils.OPERATION.CACHE_PUT, key, value);
+    async put(key, value, options: OperationOptions = {}) {
+        await this._writeKeyValueOp(BinaryUtils.OPERATION.CACHE_PUT, key, value, null, options);
     }
 
     /**
@@ -206,21 +390,29 @@ export class CacheClient {
      * @async
      *
      * @param {Array<CacheEntry>} entries - entries (key-value pairs) to be put into the cache.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
-     * @throws {IgniteClientError} if error.
+     * @throws {BatchOperationError} if the keys have been split between the nodes and some of the parts have failed.
+     * @throws {IgniteClientError} if other error.
      */
-    async putAll(entries) {
+    async putAll(entries, options: OperationOptions = {}) {
         ArgumentChecker.notEmpty(entries, 'entries');
         ArgumentChecker.hasType(entries, 'entries', true, CacheEntry);
-        await this._communicator.send(
-            BinaryUtils.OPERATION.CACHE_PUT_ALL,
-            async (payload) => {
-                this._writeCacheInfo(payload);
-                payload.writeInteger(entries.length);
-                for (let entry of entries) {
-                    await this._writeKeyValue(payload, entry.getKey(), entry.getValue());
-                }
-            });
+        await this._sendByNode(entries.map((entry) => entry.getKey()), async (indexes, affinityHint) => {
+            await this._communicator.send(
+                BinaryUtils.OPERATION.CACHE_PUT_ALL,
+                async (payload, socket) => {
+                    this._writeCacheInfo(payload, socket, true);
+                    payload.writeInteger(indexes.length);
+                    for (let index of indexes) {
+                        await this._writeKeyValue(payload, entries[index].getKey(), entries[index].getValue());
+                    }
+                },
+                null,
+                affinityHint,
+                this._getTransactionSocket(),
+                options);
+        });
     }
 
     /**
@@ -229,13 +421,14 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key to check.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<boolean>} - true if the key exists, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async containsKey(key) {
-        return await this._writeKeyReadBooleanOp(BinaryUtils.OPERATION.CACHE_CONTAINS_KEY, key);
+    async containsKey(key, options: OperationOptions = {}) {
+        return await this._writeKeyReadBooleanOp(BinaryUtils.OPERATION.CACHE_CONTAINS_KEY, key, options);
     }
 
     /**
@@ -244,14 +437,16 @@ export class CacheClient {
      * @async
      *
      * @param {Array<*>} keys - keys to check.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<boolean>} - true if all the keys exist,
      *   false if at least one of the keys does not exist in the cache.
      *
-     * @throws {IgniteClientError} if error.
+     * @throws {BatchOperationError} if the keys have been split between the nodes and some of the parts have failed.
+     * @throws {IgniteClientError} if other error.
      */
-    async containsKeys(keys) {
-        return await this._writeKeysReadBooleanOp(BinaryUtils.OPERATION.CACHE_CONTAINS_KEYS, keys);
+    async containsKeys(keys, options: OperationOptions = {}) {
+        return await this._writeKeysReadBooleanOp(BinaryUtils.OPERATION.CACHE_CONTAINS_KEYS, keys, options);
     }
 
     /**
@@ -265,13 +460,14 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<*>} - the previous value associated with the specified key, or null if it did not exist.
      *
      * @throws {IgniteClientError} if error.
      */
-    async getAndPut(key, value) {
-        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_PUT, key, value);
+    async getAndPut(key, value, options: OperationOptions = {}) {
+        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_PUT, key, value, options);
     }
 
     /**
@@ -283,13 +479,14 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<*>} - the previous value associated with the specified key, or null if it did not exist.
      *
      * @throws {IgniteClientError} if error.
      */
-    async getAndReplace(key, value) {
-        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_REPLACE, key, value);
+    async getAndReplace(key, value, options: OperationOptions = {}) {
+        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_REPLACE, key, value, options);
     }
 
     /**
@@ -299,13 +496,14 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key of the entry to be removed.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<*>} - the last value associated with the specified key, or null if it did not exist.
      *
      * @throws {IgniteClientError} if error.
      */
-    async getAndRemove(key) {
-        return await this._writeKeyReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_REMOVE, key);
+    async getAndRemove(key, options: OperationOptions = {}) {
+        return await this._writeKeyReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_REMOVE, key, options);
     }
 
     /**
@@ -316,13 +514,14 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async putIfAbsent(key, value) {
-        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_PUT_IF_ABSENT, key, value);
+    async putIfAbsent(key, value, options: OperationOptions = {}) {
+        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_PUT_IF_ABSENT, key, value, options);
     }
 
     /**
@@ -333,14 +532,15 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<*>} - the current value associated with the key if it already exists in the cache,
      *   null if the new entry is created.
      *
      * @throws {IgniteClientError} if error.
      */
-    async getAndPutIfAbsent(key, value) {
-        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_PUT_IF_ABSENT, key, value);
+    async getAndPutIfAbsent(key, value, options: OperationOptions = {}) {
+        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_PUT_IF_ABSENT, key, value, options);
     }
 
     /**
@@ -351,13 +551,14 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async replace(key, value) {
-        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_REPLACE, key, value);
+    async replace(key, value, options: OperationOptions = {}) {
+        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_REPLACE, key, value, options);
     }
 
     /**
@@ -370,27 +571,30 @@ export class CacheClient {
      * @param {*} key - key.
      * @param {*} value - value to be compared with the current value associated with the specified key.
      * @param {*} newValue - new value to be associated with the specified key.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async replaceIfEquals(key, value, newValue) {
+    async replaceIfEquals(key, value, newValue, options: OperationOptions = {}) {
         ArgumentChecker.notNull(key, 'key');
         ArgumentChecker.notNull(value, 'value');
         ArgumentChecker.notNull(newValue, 'newValue');
         let result;
         await this._communicator.send(
             BinaryUtils.OPERATION.CACHE_REPLACE_IF_EQUALS,
-            async (payload) => {
-                this._writeCacheInfo(payload);
+            async (payload, socket) => {
+                this._writeCacheInfo(payload, socket, true);
                 await this._writeKeyValue(payload, key, value);
                 await this._communicator.writeObject(payload, newValue, this._getValueType());
             },
             async (payload) => {
                 result = payload.readBoolean();
             },
-            this._createAffinityHint(key));
+            this._createAffinityHint(key),
+            this._getTransactionSocket(),
+            options);
         return result;
     }
 
@@ -399,14 +603,20 @@ export class CacheClient {
      *
      * @async
      *
+     * @param {OperationOptions} [options={}] - options of the operation.
+     *
      * @throws {IgniteClientError} if error.
      */
-    async clear() {
+    async clear(options: OperationOptions = {}) {
         await this._communicator.send(
             BinaryUtils.OPERATION.CACHE_CLEAR,
-            async (payload) => {
-                this._writeCacheInfo(payload);
-            });
+            async (payload, socket) => {
+                this._writeCacheInfo(payload, socket, true);
+            },
+            null,
+            null,
+            this._getTransactionSocket(),
+            options);
     }
 
     /**
@@ -415,11 +625,12 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key to be removed.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @throws {IgniteClientError} if error.
      */
-    async clearKey(key) {
-        await this._writeKeyOp(BinaryUtils.OPERATION.CACHE_CLEAR_KEY, key);
+    async clearKey(key, options: OperationOptions = {}) {
+        await this._writeKeyOp(BinaryUtils.OPERATION.CACHE_CLEAR_KEY, key, null, options);
     }
 
     /**
@@ -428,11 +639,13 @@ export class CacheClient {
      * @async
      *
      * @param {Array<*>} keys - keys to be removed.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
-     * @throws {IgniteClientError} if error.
+     * @throws {BatchOperationError} if the keys have been split between the nodes and some of the parts have failed.
+     * @throws {IgniteClientError} if other error.
      */
-    async clearKeys(keys) {
-        await this._writeKeysOp(BinaryUtils.OPERATION.CACHE_CLEAR_KEYS, keys);
+    async clearKeys(keys, options: OperationOptions = {}) {
+        await this._writeKeysOp(BinaryUtils.OPERATION.CACHE_CLEAR_KEYS, keys, null, options);
     }
 
     /**
@@ -441,13 +654,14 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key to be removed.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async removeKey(key) {
-        return await this._writeKeyReadBooleanOp(BinaryUtils.OPERATION.CACHE_REMOVE_KEY, key);
+    async removeKey(key, options: OperationOptions = {}) {
+        return await this._writeKeyReadBooleanOp(BinaryUtils.OPERATION.CACHE_REMOVE_KEY, key, options);
     }
 
     /**
@@ -458,13 +672,14 @@ export class CacheClient {
      *
      * @param {*} key - key to be removed.
      * @param {*} value - value to be compared with the current value associated with the specified key.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async removeIfEquals(key, value) {
-        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_REMOVE_IF_EQUALS, key, value);
+    async removeIfEquals(key, value, options: OperationOptions = {}) {
+        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_REMOVE_IF_EQUALS, key, value, options);
     }
 
     /**
@@ -473,11 +688,13 @@ export class CacheClient {
      * @async
      *
      * @param {Array<*>} keys - keys to be removed.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
-     * @throws {IgniteClientError} if error.
+     * @throws {BatchOperationError} if the keys have been split between the nodes and some of the parts have failed.
+     * @throws {IgniteClientError} if other error.
      */
-    async removeKeys(keys) {
-        await this._writeKeysOp(BinaryUtils.OPERATION.CACHE_REMOVE_KEYS, keys);
+    async removeKeys(keys, options: OperationOptions = {}) {
+        await this._writeKeysOp(BinaryUtils.OPERATION.CACHE_REMOVE_KEYS, keys, null, options);
     }
 
     /**
@@ -485,14 +702,20 @@ export class CacheClient {
      *
      * @async
      *
+     * @param {OperationOptions} [options={}] - options of the operation.
+     *
      * @throws {IgniteClientError} if error.
      */
-    async removeAll() {
+    async removeAll(options: OperationOptions = {}) {
         await this._communicator.send(
             BinaryUtils.OPERATION.CACHE_REMOVE_ALL,
-            async (payload) => {
-                this._writeCacheInfo(payload);
-            });
+            async (payload, socket) => {
+                this._writeCacheInfo(payload, socket, true);
+            },
+            null,
+            null,
+            this._getTransactionSocket(),
+            options);
     }
 
     /**
@@ -501,18 +724,23 @@ export class CacheClient {
      * @async
      *
      * @param {...CacheClient.PEEK_MODE} [peekModes] - peek modes.
+     *   {@link OperationOptions} of the operation may be passed as the last argument.
      *
      * @return {Promise<number>} - the number of the entries in the cache.
      *
      * @throws {IgniteClientError} if error.
      */
     async getSize(...peekModes) {
+        let options: OperationOptions = {};
+        if (peekModes.length > 0 && typeof peekModes[peekModes.length - 1] === 'object') {
+            options = peekModes.pop();
+        }
         ArgumentChecker.hasValueFrom(peekModes, 'peekModes', true, CacheClient.PEEK_MODE);
         let result;
         await this._communicator.send(
             BinaryUtils.OPERATION.CACHE_GET_SIZE,
-            async (payload) => {
-                this._writeCacheInfo(payload);
+            async (payload, socket) => {
+                this._writeCacheInfo(payload, socket, true);
                 payload.writeInteger(peekModes.length);
                 for (let mode of peekModes) {
                     payload.writeByte(mode);
@@ -520,7 +748,10 @@ export class CacheClient {
             },
             async (payload) => {
                 result = payload.readLong().toNumber();
-            });
+            },
+            null,
+            this._getTransactionSocket(),
+            options);
         return result;
     }
 
@@ -532,6 +763,9 @@ export class CacheClient {
      * @async
      *
      * @param {SqlQuery | SqlFieldsQuery | ScanQuery} query - query to be executed.
+     * @param {OperationOptions} [options={}] - options of the operation.
+     *   The options, including the signal, also apply to the page requests of the returned cursor;
+     *   the cursor is closed on the server if the signal is aborted.
      *
      * @return {Promise<Cursor>} - cursor to obtain the results of the query operation:
      *   - {@link SqlFieldsCursor} in case of {@link SqlFieldsQuery} query
@@ -539,21 +773,144 @@ export class CacheClient {
      *
      * @throws {IgniteClientError} if error.
      */
-    async query(query) {
+    async query(query, options: OperationOptions = {}) {
         ArgumentChecker.notNull(query, 'query');
         ArgumentChecker.hasType(query, 'query', false, SqlQuery, SqlFieldsQuery, ScanQuery);
+        ArgumentChecker.checkOperationOptions(options);
 
-        let value = null;
+        return await this._query(query, null, options);
+    }
+
+    /**
+     * Scans all the partitions of the cache, one Scan query per partition, several partitions at a time.
+     *
+     * The number of the partitions is obtained from the cluster whether or not partition awareness
+     * is enabled. The query over every partition is sent to the primary node of the partition
+     * if the client is connected to it, the other queries are spread between all the connections.
+     * The entries of all the partitions are merged into one async iterable
+     * in the order they are received, so the order of the entries is not defined.
+     * If the partitions of the cache are not known (e.g. the cache is replicated),
+     * the whole cache is scanned by one query.
+     *
+     * The queries are started when the iteration is started. If the iteration is stopped
+     * by break, return or exception, all the queries in progress are closed.
+     *
+     * @param {ScanQuery} query - settings of the queries, the partition number of the query is ignored.
+     * @param {ScanAllPartitionsOptions} [options={}] - options of the scan.
+     *
+     * @return {AsyncIterable<CacheEntry>} - entries of the cache. The iteration throws
+     *   {@link IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}
+     *   and {@link IgniteClientError} if any of the queries fails.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    scanAllPartitions(query: ScanQuery, options: ScanAllPartitionsOptions = {}): AsyncIterable<CacheEntry> {
+        ArgumentChecker.notNull(query, 'query');
+        ArgumentChecker.hasType(query, 'query', false, ScanQuery);
+        ArgumentChecker.notNull(options, 'options');
+        const concurrency = CacheClient._getScanConcurrency(options);
+        return this._scanPartitions(query, concurrency);
+    }
+
+    /**
+     * Creates a scan over all the partitions of the cache which can be resumed after a failure.
+     *
+     * The scan works like {@link CacheClient#scanAllPartitions} and records the partitions
+     * whose entries have been completely delivered. If the iteration fails, e.g. because of
+     * a lost connection, iterating the same scan again re-runs only the unfinished partitions.
+     * The progress can also be saved by {@link ResumableScan#getCheckpoint} and passed
+     * to a new scan created by this or another client.
+     *
+     * The entries of a partition which was in progress when the scan stopped are delivered again.
+     *
+     * @param {ScanQuery} query - settings of the queries, the partition number of the query is ignored.
+     * @param {ResumableScanOptions} [options={}] - options of the scan.
+     *
+     * @return {ResumableScan} - new scan, the queries are started when the iteration is started.
+     *
+     * @throws {IgniteClientError} if the checkpoint is of another cache or other error.
+     */
+    resumableScan(query: ScanQuery, options: ResumableScanOptions = {}): ResumableScan {
+        ArgumentChecker.notNull(query, 'query');
+        ArgumentChecker.hasType(query, 'query', false, ScanQuery);
+        ArgumentChecker.notNull(options, 'options');
+        const concurrency = CacheClient._getScanConcurrency(options);
+        const checkpoint = options.checkpoint || null;
+        if (checkpoint !== null && checkpoint.cacheName !== this._name) {
+            throw IgniteClientError.illegalArgumentError(
+                Util.format('Checkpoint of cache "%s" can not be used for cache "%s"', checkpoint.cacheName, this._name));
+        }
+        return new ResumableScan(this, this._name, query, concurrency, checkpoint);
+    }
+
+    /**
+     * Starts a continuous query which delivers changes of the cache entries to the listener
+     * as they happen on the server.
+     *
+     * The keys and values of the events are read using the key/value types
+     * specified for the cache at the moment of the method call.
+     *
+     * @async
+     *
+     * @param {ContinuousQueryListener} listener - function called with the array of
+     *   {@link CacheEntryEvent}s received from the server.
+     * @param {ContinuousQueryOptions} [options={}] - options of the continuous query.
+     *
+     * @return {Promise<ContinuousQueryHandle>} - handle of the continuous query, used to obtain
+     *   the results of the initial query and to stop the continuous query.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support continuous queries.
+     * @throws {IgniteClientError} if error.
+     */
+    async queryContinuous(listener: ContinuousQueryListener, options: ContinuousQueryOptions = {}): Promise<ContinuousQueryHandle> {
+        ArgumentChecker.notNull(listener, 'listener');
+        ArgumentChecker.hasType(listener, 'listener', false, Function);
+        ArgumentChecker.notNull(options, 'options');
+        const bufferSize = options.bufferSize !== undefined ? options.bufferSize : 1;
+        const timeInterval = options.timeInterval !== undefined ? options.timeInterval : 0;
+        ArgumentChecker.isInteger(bufferSize, 'bufferSize');
+        ArgumentChecker.isInteger(timeInterval, 'timeInterval');
+        if (options.initialQuery) {
+            ArgumentChecker.hasType(options.initialQuery, 'initialQuery', false, SqlQuery, SqlFieldsQuery, ScanQuery);
+        }
+
+        // Notifications are sent by the server via the connection the query is registered on
+        const socket = this._communicator.getConnection();
+        if (!socket.isContinuousQueriesSupported()) {
+            throw new FeatureNotSupportedError('Continuous queries');
+        }
+        let handle: ContinuousQueryHandle = null;
         await this._communicator.send(
-            query._operation,
-            async (payload) => {
-                this._writeCacheInfo(payload);
-                await query._write(this._communicator, payload);
+            BinaryUtils.OPERATION.QUERY_CONTINUOUS,
+            async (payload, socket) => {
+                this._writeCacheInfo(payload, socket);
+                payload.writeInteger(bufferSize);
+                payload.writeLong(timeInterval);
+                payload.writeBoolean(options.includeExpired === true);
+                // Remote filter and transformer are not supported
+                payload.writeByte(BinaryUtils.TYPE_CODE.NULL);
+                payload.writeByte(BinaryUtils.TYPE_CODE.NULL);
             },
             async (payload) => {
-                value = await query._getCursor(this._communicator, payload, this._keyType, this._valueType);
-            });
-        return value;
+                const id = payload.readLong();
+                handle = new ContinuousQueryHandle(this._communicator, socket, id,
+                    this._getKeyReadType(), this._getValueReadType(), listener, options.onDisconnect || null);
+                socket.addNotificationListener(id, handle);
+            },
+            null,
+            socket);
+
+        if (options.initialQuery) {
+            try {
+                handle._setInitialQueryCursor(await this.query(options.initialQuery));
+            }
+            catch (err) {
+                await handle.close();
+                throw err;
+            }
+        }
+        return handle;
     }
 
     /** Private methods */
@@ -568,6 +925,22 @@ export class CacheClient {
         this._keyType = null;
         this._valueType = null;
         this._communicator = communicator;
+        this._expiryPolicy = null;
+        this._keepBinary = false;
+        this._transaction = null;
+    }
+
+    /**
+     * @ignore
+     */
+    _copy(): CacheClient {
+        const cache = new CacheClient(this._name, this._config, this._communicator);
+        cache._keyType = this._keyType;
+        cache._valueType = this._valueType;
+        cache._expiryPolicy = this._expiryPolicy;
+        cache._keepBinary = this._keepBinary;
+        cache._transaction = this._transaction;
+        return cache;
     }
 
     /**
@@ -578,8 +951,8 @@ export class CacheClient {
         let value = null;
         await socket.sendRequest(
             BinaryUtils.OPERATION.CACHE_LOCAL_PEEK,
-            async (payload) => {
-                this._writeCacheInfo(payload);
+            async (payload, socket) => {
+                this._writeCacheInfo(payload, socket);
                 await this._communicator.writeObject(payload, key, this._getKeyType());
                 payload.writeInteger(peekModes.length);
                 for (let mode of peekModes) {
@@ -587,7 +960,7 @@ export class CacheClient {
                 }
             },
             async (payload) => {
-                value = await this._communicator.readObject(payload, this._getValueType());
+                value = await this._communicator.readObject(payload, this._getValueReadType());
             });
         return value;
     }
@@ -602,9 +975,207 @@ export class CacheClient {
     /**
      * @ignore
      */
-    _writeCacheInfo(payload) {
+    async _query(query, socket: ClientSocket = null, options: OperationOptions = null) {
+        if (!query._restartOnFailover) {
+            return await this._openCursor(query, socket, options);
+        }
+        const error = query._getRestartError();
+        if (error) {
+            throw IgniteClientError.illegalArgumentError('Query can not be restarted on failover: ' + error);
+        }
+        let parts = [query];
+        if (query instanceof ScanQuery && query._isEntireCache()) {
+            // The order of the entries is deterministic within a partition only
+            const partitions = await this._getScanPartitions();
+            if (partitions[0] === -1) {
+                throw IgniteClientError.illegalArgumentError(
+                    'Scan query can not be restarted on failover: partitions of the cache are unknown, ' +
+                    'enable partition awareness or specify the partition number');
+            }
+            parts = partitions.map((partition) => query._withPartitionNumber(partition));
+        }
+        const cursor = await this._openCursor(parts[0], socket, options);
+        cursor._setFailover({
+            parts: parts.length,
+            open: (part: number) => this._openCursor(parts[part], null, options)
+        });
+        return cursor;
+    }
+
+    /**
+     * @ignore
+     */
+    async _openCursor(query, socket: ClientSocket, options: OperationOptions) {
+        const signal = options && options.signal ? options.signal : null;
+        if (!signal) {
+            return await this._sendQuery(query, socket, options);
+        }
+        if (signal.aborted) {
+            throw new AbortError();
+        }
+        // The query request itself is not bound to the signal: the server opens the cursor anyway,
+        // so the cursor is closed as soon as its response is received after the abort
+        const cursorPromise = this._sendQuery(query, socket, options, { timeout: options.timeout });
+        return await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(new AbortError());
+                cursorPromise.then((cursor) => cursor.close()).catch(() => {});
+            };
+            signal.addEventListener('abort', onAbort);
+            cursorPromise.then(resolve, reject).then(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * @ignore
+     */
+    async _sendQuery(query, socket: ClientSocket, options: OperationOptions, requestOptions: OperationOptions = options) {
+        let value = null;
+        const cursorSocket = await this._communicator.send(
+            query._operation,
+            async (payload, socket) => {
+                this._writeCacheInfo(payload, socket);
+                await query._write(this._communicator, payload);
+            },
+            async (payload) => {
+                value = await query._getCursor(this._communicator, payload,
+                    this._getKeyReadType(), this._getValueReadType(), this._keepBinary);
+                value._setOptions(options);
+                value._setPrefetch(query._prefetchPages, query._prefetchMaxBytes);
+            },
+            null,
+            socket,
+            requestOptions);
+        // The server-side cursor exists on the node the query has been sent to only
+        value._setSocket(cursorSocket);
+        return value;
+    }
+
+    /**
+     * @ignore
+     */
+    static _getScanConcurrency(options: ScanAllPartitionsOptions): number {
+        const concurrency = options.concurrency !== undefined ? options.concurrency : SCAN_CONCURRENCY_DEFAULT;
+        ArgumentChecker.isInteger(concurrency, 'concurrency');
+        if (concurrency <= 0) {
+            throw IgniteClientError.illegalArgumentError('"concurrency" argument should be positive');
+        }
+        return concurrency;
+    }
+
+    /**
+     * @ignore
+     */
+    async _getScanPartitions(): Promise<number[]> {
+        return CacheClient._getScanPartitions(await this._communicator.getPartitionMapping(this._cacheId));
+    }
+
+    /**
+     * @ignore
+     */
+    static _getScanPartitions(partitionMapping: Map<number, number[]>): number[] {
+        if (!partitionMapping) {
+            // Partition -1 means the whole cache
+            return [-1];
+        }
+        const partitionsNum = Math.max(...partitionMapping.keys()) + 1;
+        return Array.from({ length: partitionsNum }, (value, partition) => partition);
+    }
+
+    /**
+     * @ignore
+     */
+    async *_scanPartitions(query: ScanQuery, concurrency: number, partitions: number[] = null,
+                           onPartitionScanned: (partition: number) => void = null): AsyncGenerator<CacheEntry> {
+        const partitionMapping = await this._communicator.getPartitionMapping(this._cacheId);
+        if (!partitions) {
+            partitions = CacheClient._getScanPartitions(partitionMapping);
+        }
+
+        // The partitions of the nodes the client is not connected to are scanned via all the connections in turn
+        const connections = this._communicator.getConnections();
+        let connectionIndex = 0;
+        const getSocket = (partition: number): ClientSocket => {
+            if (partitionMapping && partitionMapping.has(partition)) {
+                const nodeId = "" + partitionMapping.get(partition);
+                const socket = connections.find((connection) => "" + connection.nodeUUID === nodeId);
+                if (socket) {
+                    return socket;
+                }
+            }
+            connectionIndex = (connectionIndex + 1) % connections.length;
+            return connections[connectionIndex];
+        };
+
+        const fetch = async (scan: PartitionScan): Promise<PartitionScan> => {
+            if (!scan.cursor) {
+                scan.cursor = await this._query(query._withPartitionNumber(scan.partition), getSocket(scan.partition));
+            }
+            scan.values = await scan.cursor._getValues();
+            return scan;
+        };
+
+        const queue = partitions.slice();
+        const active = new Set<PartitionScan>();
+        try {
+            while (queue.length > 0 || active.size > 0) {
+                while (queue.length > 0 && active.size < concurrency) {
+                    const scan: PartitionScan = { partition: queue.shift(), cursor: null, values: null, next: null };
+                    scan.next = fetch(scan);
+                    active.add(scan);
+                }
+                const scan = await Promise.race(Array.from(active, (activeScan) => activeScan.next));
+                const values = scan.values;
+                const finished = !scan.cursor._hasNextPage();
+                if (finished) {
+                    active.delete(scan);
+                }
+                else {
+                    // The next page is requested while the current one is consumed
+                    scan.next = fetch(scan);
+                }
+                for (const value of values) {
+                    yield value;
+                }
+                if (finished && onPartitionScanned) {
+                    onPartitionScanned(scan.partition);
+                }
+            }
+        }
+        finally {
+            await Promise.all(Array.from(active, (scan) => scan.next.
+                then(() => scan.cursor.close(), () => scan.cursor ? scan.cursor.close() : null).
+                catch(() => {})));
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    _writeCacheInfo(payload, socket: ClientSocket, transactional: boolean = false) {
+        // Only the Key-Value operations are performed within the transaction
+        const transaction = transactional ? this._transaction : null;
+        let flags = 0;
+        if (this._keepBinary) {
+            flags |= FLAG_KEEP_BINARY;
+        }
+        if (transaction) {
+            flags |= FLAG_TRANSACTIONAL;
+        }
+        if (this._expiryPolicy) {
+            if (!socket.isExpiryPolicySupported()) {
+                throw new FeatureNotSupportedError('Expiry policy');
+            }
+            flags |= FLAG_WITH_EXPIRY_POLICY;
+        }
         payload.writeInteger(this._cacheId);
-        payload.writeByte(0);
+        payload.writeByte(flags);
+        if (this._expiryPolicy) {
+            ExpiryPolicyUtils.write(payload, this._expiryPolicy);
+        }
+        if (transaction) {
+            payload.writeInteger(transaction._getId());
+        }
     }
 
     /**
@@ -642,112 +1213,191 @@ export class CacheClient {
     /**
      * @ignore
      */
-    async _writeKeyValueOp(operation, key, value, payloadReader = null) {
+    _getKeyReadType() {
+        return this._keepBinary ? BinaryUtils.getKeepBinaryType(this._keyType) : this._keyType;
+    }
+
+    /**
+     * @ignore
+     */
+    _getValueReadType() {
+        return this._keepBinary ? BinaryUtils.getKeepBinaryType(this._valueType) : this._valueType;
+    }
+
+    /**
+     * @ignore
+     */
+    async _writeKeyValueOp(operation, key, value, payloadReader = null, options: OperationOptions = null) {
         ArgumentChecker.notNull(key, 'key');
         ArgumentChecker.notNull(value, 'value');
         await this._communicator.send(
             operation,
-            async (payload) => {
-                this._writeCacheInfo(payload);
+            async (payload, socket) => {
+                this._writeCacheInfo(payload, socket, true);
                 await this._writeKeyValue(payload, key, value);
             },
             payloadReader,
-            this._createAffinityHint(key));
+            this._createAffinityHint(key),
+            this._getTransactionSocket(),
+            options);
     }
 
     /**
      * @ignore
      */
-    async _writeKeyValueReadValueOp(operation, key, value) {
+    async _writeKeyValueReadValueOp(operation, key, value, options: OperationOptions = null) {
         let result = null;
         await this._writeKeyValueOp(
             operation, key, value,
             async (payload) => {
-                result = await this._communicator.readObject(payload, this._getValueType());
-            });
+                result = await this._communicator.readObject(payload, this._getValueReadType());
+            },
+            options);
         return result;
     }
 
     /**
      * @ignore
      */
-    async _writeKeyValueReadBooleanOp(operation, key, value) {
+    async _writeKeyValueReadBooleanOp(operation, key, value, options: OperationOptions = null) {
         let result = false;
         await this._writeKeyValueOp(
             operation, key, value,
             async (payload) => {
                 result = payload.readBoolean();
-            });
+            },
+            options);
         return result;
     }
 
     /**
      * @ignore
      */
-    async _writeKeyOp(operation, key, payloadReader = null) {
+    async _writeKeyOp(operation, key, payloadReader = null, options: OperationOptions = null) {
         ArgumentChecker.notNull(key, 'key');
         await this._communicator.send(
             operation,
-            async (payload) => {
-                this._writeCacheInfo(payload);
+            async (payload, socket) => {
+                this._writeCacheInfo(payload, socket, true);
                 await this._communicator.writeObject(payload, key, this._getKeyType());
             },
             payloadReader,
-            this._createAffinityHint(key));
+            this._createAffinityHint(key),
+            this._getTransactionSocket(),
+            options);
     }
 
     /**
      * @ignore
      */
-    async _writeKeyReadValueOp(operation, key) {
+    async _writeKeyReadValueOp(operation, key, options: OperationOptions = null) {
         let value = null;
         await this._writeKeyOp(
             operation, key,
             async (payload) => {
-                value = await this._communicator.readObject(payload, this._getValueType());
-            });
+                value = await this._communicator.readObject(payload, this._getValueReadType());
+            },
+            options);
         return value;
     }
 
     /**
      * @ignore
      */
-    async _writeKeyReadBooleanOp(operation, key) {
+    async _writeKeyReadBooleanOp(operation, key, options: OperationOptions = null) {
         let result = false;
         await this._writeKeyOp(
             operation, key,
             async (payload) => {
                 result = payload.readBoolean();
-            });
+            },
+            options);
         return result;
     }
 
     /**
      * @ignore
      */
-    async _writeKeysOp(operation, keys, payloadReader = null) {
+    async _writeKeysOp<R>(operation, keys, payloadReader: (payload) => Promise<R> = null,
+                          options: OperationOptions = null): Promise<R[]> {
         ArgumentChecker.notEmpty(keys, 'keys');
         ArgumentChecker.hasType(keys, 'keys', false, Array);
-        await this._communicator.send(
-            operation,
-            async (payload) => {
-                this._writeCacheInfo(payload);
-                await this._writeKeys(payload, keys);
-            },
-            payloadReader);
+        return await this._sendByNode(keys, async (indexes, affinityHint) => {
+            let result: R = null;
+            await this._communicator.send(
+                operation,
+                async (payload, socket) => {
+                    this._writeCacheInfo(payload, socket, true);
+                    await this._writeKeys(payload, indexes.map((index) => keys[index]));
+                },
+                payloadReader ? async (payload) => {
+                    result = await payloadReader(payload);
+                } : null,
+                affinityHint,
+                this._getTransactionSocket(),
+                options);
+            return result;
+        });
     }
 
     /**
      * @ignore
      */
-    async _writeKeysReadBooleanOp(operation, keys) {
-        let result = false;
-        await this._writeKeysOp(
+    async _writeKeysReadBooleanOp(operation, keys, options: OperationOptions = null) {
+        const results = await this._writeKeysOp(
             operation, keys,
             async (payload) => {
-                result = payload.readBoolean();
-            });
-        return result;
+                return payload.readBoolean();
+            },
+            options);
+        return results.every((result) => result);
+    }
+
+    /**
+     * @ignore
+     */
+    async _sendByNode<R>(keys: any[], send: (indexes: number[], affinityHint: AffinityHint) => Promise<R>): Promise<R[]> {
+        // With partition awareness every node receives the keys it is primary for,
+        // so the server does not forward the keys to other nodes
+        // Within the transaction all the keys are sent to the node the transaction has been started on
+        const groups = this._transaction ? null :
+            await this._communicator.splitByNode(this._cacheId, keys, this._keyType);
+        if (!groups) {
+            return [await send(keys.map((key, index) => index), null)];
+        }
+        if (groups.length === 1) {
+            return [await send(groups[0], this._createAffinityHint(keys[groups[0][0]]))];
+        }
+        const results = await Promise.all(groups.map((indexes) =>
+            send(indexes, this._createAffinityHint(keys[indexes[0]])).then(
+                (result) => ({ result: result, error: null }),
+                (error) => ({ result: null, error: error }))));
+        const failedKeys = [];
+        const errors = [];
+        results.forEach((result, index) => {
+            if (result.error) {
+                failedKeys.push(...groups[index].map((keyIndex) => keys[keyIndex]));
+                errors.push(result.error);
+            }
+        });
+        if (errors.length > 0) {
+            throw new BatchOperationError(failedKeys, errors);
+        }
+        return results.map((result) => result.result);
+    }
+
+    /**
+     * @ignore
+     */
+    _getTransactionSocket(): ClientSocket {
+        if (!this._transaction) {
+            return null;
+        }
+        if (this._transaction.isClosed()) {
+            throw new IgniteClientError('Transaction is already closed');
+        }
+        // Transaction id is valid within the connection it has been obtained from only
+        return this._transaction._getSocket();
     }
 
     /**
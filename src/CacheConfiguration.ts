@@ -24,6 +24,8 @@ import ArgumentChecker from "./internal/ArgumentChecker";
 import { IgniteClientError } from "./Errors";
 import MessageBuffer from "./internal/MessageBuffer";
 import {PRIMITIVE_TYPE} from "./internal/Constants";
+import ExpiryPolicyUtils from "./internal/ExpiryPolicyUtils";
+import { ExpiryPolicy } from "./CacheClient";
 
 /**
  * Class representing Cache Key part of Ignite {@link CacheConfiguration}.
@@ -870,6 +872,7 @@ const PROP_MAX_CONCURRENT_ASYNC_OPS = 403;
 const PROP_PARTITION_LOSS_POLICY = 404;
 const PROP_EAGER_TTL = 405;
 const PROP_STATISTICS_ENABLED = 406;
+const PROP_EXPIRY_POLICY = 407;
 
 const PROP_TYPES = Object.freeze({
     [PROP_NAME] : BinaryUtils.TYPE_CODE.STRING,
@@ -1181,6 +1184,36 @@ export class CacheConfiguration {
         return this._properties.get(PROP_STATISTICS_ENABLED);
     }
 
+    /**
+     * Sets the default expiry policy of the cache entries.
+     * Needs Ignite server with protocol version 1.6.0 or higher.
+     *
+     * @param {ExpiryPolicy} expiryPolicy - expiry policy, e.g. { create: 60000 }, or null.
+     *
+     * @return {CacheConfiguration} - the same instance of the CacheConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setExpiryPolicy(expiryPolicy: ExpiryPolicy) {
+        if (expiryPolicy === null) {
+            // No policy is sent to the server, so the configuration can be used with any server
+            this._properties.delete(PROP_EXPIRY_POLICY);
+            return this;
+        }
+        ExpiryPolicyUtils.check(expiryPolicy, 'expiryPolicy');
+        this._properties.set(PROP_EXPIRY_POLICY, expiryPolicy);
+        return this;
+    }
+
+    /**
+     * Gets the default expiry policy of the cache entries.
+     *
+     * @return {ExpiryPolicy} - expiry policy or null.
+     */
+    getExpiryPolicy(): ExpiryPolicy {
+        return this._hasExpiryPolicy() ? <ExpiryPolicy>this._properties.get(PROP_EXPIRY_POLICY) : null;
+    }
+
     /**
      * Sets the cache group name. Caches with the same group name share single underlying 'physical' cache
      * (partition set), but are logically isolated. Grouping caches reduces overall overhead, since
@@ -1725,6 +1758,13 @@ export class CacheConfiguration {
      */
     async _writeProperty(communicator, buffer, propertyCode, property) {
         buffer.writeShort(propertyCode);
+        if (propertyCode === PROP_EXPIRY_POLICY) {
+            buffer.writeBoolean(property !== null);
+            if (property !== null) {
+                ExpiryPolicyUtils.write(buffer, property);
+            }
+            return;
+        }
         const propertyType = PROP_TYPES[propertyCode];
         switch (BinaryUtils.getTypeCode(propertyType)) {
             case BinaryUtils.TYPE_CODE.INTEGER:
@@ -1750,7 +1790,7 @@ export class CacheConfiguration {
     /**
      * @ignore
      */
-    async _read(communicator, buffer) {
+    async _read(communicator, buffer, expiryPolicySupported = false) {
         // length
         buffer.readInteger();
         await this._readProperty(communicator, buffer, PROP_ATOMICITY_MODE);
@@ -1783,6 +1823,17 @@ export class CacheConfiguration {
         await this._readProperty(communicator, buffer, PROP_WRITE_SYNCHRONIZATION_MODE);
         await this._readProperty(communicator, buffer, PROP_CACHE_KEY_CONFIGURATION);
         await this._readProperty(communicator, buffer, PROP_QUERY_ENTITY);
+        if (expiryPolicySupported && buffer.readBoolean()) {
+            this._properties.set(PROP_EXPIRY_POLICY, ExpiryPolicyUtils.read(buffer));
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    _hasExpiryPolicy(): boolean {
+        const expiryPolicy = this._properties.get(PROP_EXPIRY_POLICY);
+        return expiryPolicy !== null && expiryPolicy !== undefined;
     }
 
     /**
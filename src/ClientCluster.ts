@@ -0,0 +1,225 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ArgumentChecker from "./internal/ArgumentChecker";
+import ClientSocket from "./internal/ClientSocket";
+import Router from "./internal/Router";
+import { FeatureNotSupportedError } from "./Errors";
+import { PROTOCOL_FEATURE } from "./ServerInfo";
+import { ClientClusterGroup } from "./ClientClusterGroup";
+
+/**
+ * State of the cluster.
+ * @typedef ClientCluster.STATE
+ * @enum
+ * @readonly
+ * @property INACTIVE 0
+ * @property ACTIVE 1
+ * @property ACTIVE_READ_ONLY 2
+ */
+export enum CLUSTER_STATE {
+    INACTIVE = 0,
+    ACTIVE = 1,
+    ACTIVE_READ_ONLY = 2
+}
+
+/**
+ * Class representing the cluster-wide administration operations
+ * and the group of all the cluster nodes.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via cluster() method of {@link IgniteClient} objects.
+ *
+ * The administration operations need Ignite server with protocol version 1.6.0 or higher.
+ *
+ * @hideconstructor
+ * @extends ClientClusterGroup
+ */
+export class ClientCluster extends ClientClusterGroup {
+
+    static get STATE() {
+        return CLUSTER_STATE;
+    }
+
+    /**
+     * Returns the current state of the cluster.
+     *
+     * @async
+     *
+     * @return {Promise<ClientCluster.STATE>} - the current cluster state.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support the cluster API.
+     * @throws {IgniteClientError} if other error.
+     */
+    async getState(): Promise<CLUSTER_STATE> {
+        let state: CLUSTER_STATE;
+        await this._send(
+            BinaryUtils.OPERATION.CLUSTER_GET_STATE,
+            null,
+            async (payload) => {
+                // Servers with no CLUSTER_STATES feature return a boolean "active" flag,
+                // which is encoded as INACTIVE or ACTIVE byte value
+                state = payload.readByte();
+            });
+        return state;
+    }
+
+    /**
+     * Changes the state of the cluster.
+     *
+     * Deactivation makes all the caches unavailable, the data of the in-memory
+     * caches is lost.
+     *
+     * @async
+     *
+     * @param {ClientCluster.STATE} state - the new cluster state.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support the cluster API or the requested state.
+     * @throws {IgniteClientError} if other error.
+     */
+    async setState(state: CLUSTER_STATE) {
+        ArgumentChecker.notNull(state, 'state');
+        ArgumentChecker.hasValueFrom(state, 'state', false, CLUSTER_STATE);
+        await this._send(
+            BinaryUtils.OPERATION.CLUSTER_CHANGE_STATE,
+            async (payload) => {
+                payload.writeByte(state);
+            },
+            null,
+            (socket) => {
+                if (state === CLUSTER_STATE.ACTIVE_READ_ONLY &&
+                    !socket.isFeatureSupported(PROTOCOL_FEATURE.CLUSTER_STATES)) {
+                    throw new FeatureNotSupportedError('Cluster state ACTIVE_READ_ONLY');
+                }
+            });
+    }
+
+    /**
+     * Disables write-ahead logging for the specified cache.
+     *
+     * With WAL disabled the data loading is faster, but the cache data is lost
+     * if a node fails before WAL is enabled back.
+     *
+     * @async
+     *
+     * @param {string} cacheName - name of the persistent cache.
+     *
+     * @return {Promise<boolean>} - true if WAL has been disabled by this call,
+     *   false if it was already disabled.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support the cluster API.
+     * @throws {IgniteClientError} if other error.
+     */
+    async disableWal(cacheName: string): Promise<boolean> {
+        return await this._changeWalState(cacheName, false);
+    }
+
+    /**
+     * Enables write-ahead logging for the specified cache.
+     *
+     * @async
+     *
+     * @param {string} cacheName - name of the persistent cache.
+     *
+     * @return {Promise<boolean>} - true if WAL has been enabled by this call,
+     *   false if it was already enabled.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support the cluster API.
+     * @throws {IgniteClientError} if other error.
+     */
+    async enableWal(cacheName: string): Promise<boolean> {
+        return await this._changeWalState(cacheName, true);
+    }
+
+    /**
+     * Checks if write-ahead logging is enabled for the specified cache.
+     *
+     * @async
+     *
+     * @param {string} cacheName - name of the persistent cache.
+     *
+     * @return {Promise<boolean>} - true if WAL is enabled, false otherwise.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support the cluster API.
+     * @throws {IgniteClientError} if other error.
+     */
+    async isWalEnabled(cacheName: string): Promise<boolean> {
+        ArgumentChecker.notEmpty(cacheName, 'cacheName');
+        let enabled: boolean;
+        await this._send(
+            BinaryUtils.OPERATION.CLUSTER_GET_WAL_STATE,
+            async (payload) => {
+                BinaryCommunicator.writeString(payload, cacheName);
+            },
+            async (payload) => {
+                enabled = payload.readBoolean();
+            });
+        return enabled;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(router: Router, communicator: BinaryCommunicator) {
+        super(router, communicator);
+    }
+
+    /**
+     * @ignore
+     */
+    async _changeWalState(cacheName: string, enable: boolean): Promise<boolean> {
+        ArgumentChecker.notEmpty(cacheName, 'cacheName');
+        let changed: boolean;
+        await this._send(
+            BinaryUtils.OPERATION.CLUSTER_CHANGE_WAL_STATE,
+            async (payload) => {
+                BinaryCommunicator.writeString(payload, cacheName);
+                payload.writeBoolean(enable);
+            },
+            async (payload) => {
+                changed = payload.readBoolean();
+            });
+        return changed;
+    }
+
+    /**
+     * @ignore
+     */
+    async _send(opCode, payloadWriter, payloadReader, checkSocket: (socket: ClientSocket) => void = null) {
+        // The support is checked on the connection the request is sent to,
+        // as the nodes of the cluster may run different Ignite versions
+        const socket = this._router.getConnection();
+        if (!socket.isClusterApiSupported()) {
+            throw new FeatureNotSupportedError('Cluster API');
+        }
+        if (checkSocket) {
+            checkSocket(socket);
+        }
+        await this._communicator.send(opCode, payloadWriter, payloadReader, null, socket);
+    }
+}
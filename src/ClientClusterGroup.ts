@@ -0,0 +1,417 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import * as Util from "util";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ArgumentChecker from "./internal/ArgumentChecker";
+import ClientSocket from "./internal/ClientSocket";
+import MessageBuffer from "./internal/MessageBuffer";
+import Router from "./internal/Router";
+import { FeatureNotSupportedError } from "./Errors";
+import { PROTOCOL_FEATURE } from "./ServerInfo";
+
+// Cluster group projection filter codes
+const FILTER_ATTRIBUTE = 1;
+const FILTER_SERVER_NODES = 2;
+
+// Topology version which never matches the current one, so the server always returns node ids
+const UNKNOWN_TOPOLOGY_VERSION = -1;
+
+interface ProjectionFilter {
+    code: number;
+    name?: string;
+    value?: any;
+}
+
+/**
+ * Class representing a node of the Ignite cluster.
+ *
+ * The class has no public constructor. Instances of this class are obtained
+ * via nodes() method of {@link ClientClusterGroup} objects.
+ *
+ * @hideconstructor
+ */
+export class ClusterNode {
+
+    private _id: number[];
+
+    private _consistentId: any;
+
+    private _addresses: string[];
+
+    private _hostNames: string[];
+
+    private _order: number;
+
+    private _isDaemon: boolean;
+
+    private _isClient: boolean;
+
+    private _version: string;
+
+    private _attributes: Map<string, any>;
+
+    /**
+     * Id (UUID) of the node.
+     *
+     * @type {Array<number>}
+     */
+    get id(): number[] {
+        return this._id;
+    }
+
+    /**
+     * Consistent id of the node, which is kept between node restarts.
+     *
+     * @type {*}
+     */
+    get consistentId(): any {
+        return this._consistentId;
+    }
+
+    /**
+     * Addresses of the node.
+     *
+     * @type {Array<string>}
+     */
+    get addresses(): string[] {
+        return this._addresses;
+    }
+
+    /**
+     * Host names of the node.
+     *
+     * @type {Array<string>}
+     */
+    get hostNames(): string[] {
+        return this._hostNames;
+    }
+
+    /**
+     * Order of the node in the topology, the nodes which joined the cluster later have greater order.
+     *
+     * @type {number}
+     */
+    get order(): number {
+        return this._order;
+    }
+
+    /**
+     * True if the node is a daemon node, which does not participate in the regular cluster operations.
+     *
+     * @type {boolean}
+     */
+    get isDaemon(): boolean {
+        return this._isDaemon;
+    }
+
+    /**
+     * True if the node is a client node, false if it is a server node.
+     *
+     * @type {boolean}
+     */
+    get isClient(): boolean {
+        return this._isClient;
+    }
+
+    /**
+     * Ignite product version of the node, e.g. "2.16.0".
+     *
+     * @type {string}
+     */
+    get version(): string {
+        return this._version;
+    }
+
+    /**
+     * Attributes of the node.
+     *
+     * @type {Map<string, *>}
+     */
+    get attributes(): Map<string, any> {
+        return this._attributes;
+    }
+
+    /**
+     * Returns the value of the node attribute.
+     *
+     * @param {string} name - attribute name.
+     *
+     * @return {*} - attribute value or undefined if the node has no such attribute.
+     */
+    getAttribute(name: string): any {
+        return this._attributes.get(name);
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor() {
+        this._id = null;
+        this._consistentId = null;
+        this._addresses = [];
+        this._hostNames = [];
+        this._order = 0;
+        this._isDaemon = false;
+        this._isClient = false;
+        this._version = null;
+        this._attributes = new Map<string, any>();
+    }
+
+    /**
+     * @ignore
+     */
+    static async _read(communicator: BinaryCommunicator, buffer: MessageBuffer): Promise<ClusterNode> {
+        const node = new ClusterNode();
+        node._id = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.UUID);
+        const attrCount = buffer.readInteger();
+        for (let i = 0; i < attrCount; i++) {
+            const name = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.STRING);
+            node._attributes.set(name, await communicator.readObject(buffer));
+        }
+        node._addresses = await communicator.readObject(buffer) || [];
+        node._hostNames = await communicator.readObject(buffer) || [];
+        node._order = buffer.readLong().toNumber();
+        buffer.readBoolean(); // is local node, always false for a thin client
+        node._isDaemon = buffer.readBoolean();
+        node._isClient = buffer.readBoolean();
+        node._consistentId = await communicator.readObject(buffer);
+        node._version = await ClusterNode._readVersion(communicator, buffer);
+        return node;
+    }
+
+    /**
+     * @ignore
+     */
+    static async _readVersion(communicator: BinaryCommunicator, buffer: MessageBuffer): Promise<string> {
+        const major = buffer.readByte();
+        const minor = buffer.readByte();
+        const maintenance = buffer.readByte();
+        const stage = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.STRING);
+        buffer.readLong(); // revision timestamp
+        await communicator.readObject(buffer); // revision hash
+        const version = Util.format('%d.%d.%d', major, minor, maintenance);
+        return stage ? version + '-' + stage : version;
+    }
+}
+
+/**
+ * Class representing a group of the cluster nodes.
+ *
+ * The class has no public constructor. The group of all the cluster nodes
+ * is obtained via cluster() method of {@link IgniteClient} objects,
+ * narrower groups are obtained via forXxx() methods of a group.
+ *
+ * The group is defined by the filters only, the nodes which satisfy the filters
+ * are determined by the server every time the group is used.
+ *
+ * @hideconstructor
+ */
+export class ClientClusterGroup {
+
+    protected _router: Router;
+
+    protected _communicator: BinaryCommunicator;
+
+    protected _filters: ProjectionFilter[];
+
+    protected _nodeIds: number[][];
+
+    /**
+     * Creates a group of the nodes which have the specified attribute.
+     *
+     * @param {string} name - attribute name.
+     * @param {*} [value=null] - attribute value. If null, the nodes which have the attribute
+     *   with any value are included in the group.
+     *
+     * @return {ClientClusterGroup} - new cluster group.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    forAttribute(name: string, value: any = null): ClientClusterGroup {
+        ArgumentChecker.notEmpty(name, 'name');
+        return this._withFilter({ code: FILTER_ATTRIBUTE, name: name, value: value });
+    }
+
+    /**
+     * Creates a group of the server nodes of this group.
+     *
+     * @return {ClientClusterGroup} - new cluster group.
+     */
+    forServers(): ClientClusterGroup {
+        return this._withFilter({ code: FILTER_SERVER_NODES });
+    }
+
+    /**
+     * Creates a group of the nodes of this group with the specified ids.
+     *
+     * @param {Array<Array<number>>} nodeIds - ids (UUIDs) of the nodes.
+     *
+     * @return {ClientClusterGroup} - new cluster group.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    forNodeIds(nodeIds: number[][]): ClientClusterGroup {
+        ArgumentChecker.notEmpty(nodeIds, 'nodeIds');
+        ArgumentChecker.hasType(nodeIds, 'nodeIds', false, Array);
+        const ids = this._nodeIds ?
+            this._nodeIds.filter(id => nodeIds.some(nodeId => ClientClusterGroup._sameId(id, nodeId))) :
+            nodeIds.slice();
+        return new ClientClusterGroup(this._router, this._communicator, this._filters, ids);
+    }
+
+    /**
+     * Returns ids of the nodes in the group.
+     *
+     * @async
+     *
+     * @return {Promise<Array<Array<number>>>} - ids (UUIDs) of the nodes.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support cluster groups.
+     * @throws {IgniteClientError} if other error.
+     */
+    async nodeIds(): Promise<number[][]> {
+        const socket = this._getSocket(PROTOCOL_FEATURE.CLUSTER_GROUPS, 'Cluster groups');
+        let ids: number[][] = [];
+        await this._communicator.send(
+            BinaryUtils.OPERATION.CLUSTER_GROUP_GET_NODE_IDS,
+            async (payload) => {
+                payload.writeLong(UNKNOWN_TOPOLOGY_VERSION);
+                await this._writeProjection(payload);
+            },
+            async (payload) => {
+                payload.readLong(); // topology version
+                if (payload.readBoolean()) {
+                    const count = payload.readInteger();
+                    for (let i = 0; i < count; i++) {
+                        ids.push(this._communicator._readUUID(payload));
+                    }
+                }
+            },
+            null,
+            socket);
+        if (this._nodeIds) {
+            ids = ids.filter(id => this._nodeIds.some(nodeId => ClientClusterGroup._sameId(id, nodeId)));
+        }
+        return ids;
+    }
+
+    /**
+     * Returns the nodes in the group.
+     *
+     * @async
+     *
+     * @return {Promise<Array<ClusterNode>>} - the nodes, ordered by their order in the topology.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support cluster groups.
+     * @throws {IgniteClientError} if other error.
+     */
+    async nodes(): Promise<ClusterNode[]> {
+        const ids = await this.nodeIds();
+        if (ids.length === 0) {
+            return [];
+        }
+        const socket = this._getSocket(PROTOCOL_FEATURE.CLUSTER_GROUPS, 'Cluster groups');
+        const nodes: ClusterNode[] = [];
+        await this._communicator.send(
+            BinaryUtils.OPERATION.CLUSTER_GROUP_GET_NODE_INFO,
+            async (payload) => {
+                payload.writeInteger(ids.length);
+                for (let id of ids) {
+                    this._communicator._writeUUID(payload, id);
+                }
+            },
+            async (payload) => {
+                const count = payload.readInteger();
+                for (let i = 0; i < count; i++) {
+                    nodes.push(await ClusterNode._read(this._communicator, payload));
+                }
+            },
+            null,
+            socket);
+        return nodes.sort((a, b) => a.order - b.order);
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(router: Router, communicator: BinaryCommunicator, filters: ProjectionFilter[] = [], nodeIds: number[][] = null) {
+        this._router = router;
+        this._communicator = communicator;
+        this._filters = filters;
+        this._nodeIds = nodeIds;
+    }
+
+    /**
+     * @ignore
+     */
+    _withFilter(filter: ProjectionFilter): ClientClusterGroup {
+        return new ClientClusterGroup(this._router, this._communicator, this._filters.concat(filter), this._nodeIds);
+    }
+
+    /**
+     * @ignore
+     */
+    async _writeProjection(payload: MessageBuffer) {
+        if (this._filters.length === 0) {
+            payload.writeBoolean(false);
+            return;
+        }
+        payload.writeBoolean(true);
+        payload.writeInteger(this._filters.length);
+        for (let filter of this._filters) {
+            payload.writeShort(filter.code);
+            if (filter.code === FILTER_ATTRIBUTE) {
+                BinaryCommunicator.writeString(payload, filter.name);
+                await this._communicator.writeObject(payload, filter.value);
+            }
+            else {
+                payload.writeBoolean(true);
+            }
+        }
+    }
+
+    /**
+     * Returns the connection for requests which need the specified feature.
+     * The support is checked on the connection the request is sent to,
+     * as the nodes of the cluster may run different Ignite versions.
+     * @ignore
+     */
+    _getSocket(feature: PROTOCOL_FEATURE, featureName: string): ClientSocket {
+        const socket = this._router.getConnection();
+        if (!socket.isFeatureSupported(feature)) {
+            throw new FeatureNotSupportedError(featureName);
+        }
+        return socket;
+    }
+
+    /**
+     * @ignore
+     */
+    static _sameId(id1: number[], id2: number[]): boolean {
+        return id1.length === id2.length && id1.every((value, index) => value === id2[index]);
+    }
+}
@@ -0,0 +1,216 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import Long = require('long');
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ArgumentChecker from "./internal/ArgumentChecker";
+import ClientSocket, { NotificationListener } from "./internal/ClientSocket";
+import MessageBuffer from "./internal/MessageBuffer";
+import Router from "./internal/Router";
+import { PRIMITIVE_TYPE } from "./internal/Constants";
+import { CompositeType } from "./ObjectType";
+import { FeatureNotSupportedError, IgniteClientError } from "./Errors";
+import { PROTOCOL_FEATURE } from "./ServerInfo";
+import { ClientClusterGroup } from "./ClientClusterGroup";
+
+// Compute task flags
+const FLAG_NO_FAILOVER = 0x01;
+const FLAG_NO_RESULT_CACHE = 0x02;
+
+/**
+ * Options of a compute task execution.
+ *
+ * @typedef ComputeTaskOptions
+ * @property {number} [timeout=0] - task timeout in milliseconds, 0 means no timeout.
+ * @property {boolean} [noFailover=false] - disables failover of the task jobs to other nodes.
+ * @property {boolean} [noResultCache=false] - disables caching of the job results on the server,
+ *   reduces memory consumption of the tasks which do not need the previous results.
+ * @property {ObjectType.PRIMITIVE_TYPE | CompositeType} [argType=null] - type of the task argument,
+ *   if not specified the type is determined by the argument value.
+ * @property {ObjectType.PRIMITIVE_TYPE | CompositeType} [resultType=null] - type of the task result,
+ *   if not specified the type is determined by the received result.
+ */
+export interface ComputeTaskOptions {
+    timeout?: number;
+    noFailover?: boolean;
+    noResultCache?: boolean;
+    argType?: PRIMITIVE_TYPE | CompositeType;
+    resultType?: PRIMITIVE_TYPE | CompositeType;
+}
+
+/**
+ * Class representing the compute grid functionality for a group of the cluster nodes.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via compute() method of {@link IgniteClient} objects.
+ *
+ * @hideconstructor
+ */
+export class ClientCompute {
+
+    private _router: Router;
+
+    private _communicator: BinaryCommunicator;
+
+    private _clusterGroup: ClientClusterGroup;
+
+    /**
+     * Executes a compute task deployed on the server nodes.
+     *
+     * The task is executed on the nodes of the cluster group the compute instance
+     * has been obtained for. The returned Promise is resolved when the server
+     * reports the task completion.
+     *
+     * @async
+     *
+     * @param {string} taskName - name of the task, usually the full name of the task class.
+     * @param {*} [arg=null] - task argument.
+     * @param {ComputeTaskOptions} [options={}] - task execution options.
+     *
+     * @return {Promise<*>} - result of the task.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support the task execution.
+     * @throws {LostConnectionError} if the connection is lost before the task is completed.
+     * @throws {OperationError} if the task has failed or timed out.
+     * @throws {IgniteClientError} if other error.
+     */
+    async execute(taskName: string, arg: any = null, options: ComputeTaskOptions = {}): Promise<any> {
+        ArgumentChecker.notEmpty(taskName, 'taskName');
+        ArgumentChecker.notNull(options, 'options');
+        const timeout = options.timeout !== undefined ? options.timeout : 0;
+        ArgumentChecker.isInteger(timeout, 'timeout');
+        let flags = 0;
+        if (options.noFailover) {
+            flags |= FLAG_NO_FAILOVER;
+        }
+        if (options.noResultCache) {
+            flags |= FLAG_NO_RESULT_CACHE;
+        }
+
+        const nodeIds = this._clusterGroup ? await this._clusterGroup.nodeIds() : null;
+        if (nodeIds && nodeIds.length === 0) {
+            throw new IgniteClientError('Cluster group is empty');
+        }
+
+        // Completion of the task is notified via the connection the task has been started from
+        const socket = this._router.getConnection();
+        if (!socket.isFeatureSupported(PROTOCOL_FEATURE.EXECUTE_TASK_BY_NAME)) {
+            throw new FeatureNotSupportedError('Compute task execution');
+        }
+        const task = new ComputeTask(this._communicator, options.resultType || null);
+        await this._communicator.send(
+            BinaryUtils.OPERATION.COMPUTE_TASK_EXECUTE,
+            async (payload) => {
+                if (nodeIds) {
+                    payload.writeInteger(nodeIds.length);
+                    for (let id of nodeIds) {
+                        this._communicator._writeUUID(payload, id);
+                    }
+                }
+                else {
+                    // All the server nodes
+                    payload.writeInteger(0);
+                }
+                payload.writeByte(flags);
+                payload.writeLong(timeout);
+                BinaryCommunicator.writeString(payload, taskName);
+                await this._communicator.writeObject(payload, arg, options.argType || null);
+            },
+            async (payload) => {
+                task.register(socket, payload.readLong());
+            },
+            null,
+            socket);
+        return await task.result;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(router: Router, communicator: BinaryCommunicator, clusterGroup: ClientClusterGroup = null) {
+        this._router = router;
+        this._communicator = communicator;
+        this._clusterGroup = clusterGroup;
+    }
+}
+
+/**
+ * Listener of the completion of a started compute task.
+ * @ignore
+ */
+class ComputeTask implements NotificationListener {
+
+    private _communicator: BinaryCommunicator;
+
+    private _resultType: PRIMITIVE_TYPE | CompositeType;
+
+    private _socket: ClientSocket;
+
+    private _id: Long;
+
+    private _result: Promise<any>;
+
+    private _resolve: Function;
+
+    private _reject: Function;
+
+    constructor(communicator: BinaryCommunicator, resultType: PRIMITIVE_TYPE | CompositeType) {
+        this._communicator = communicator;
+        this._resultType = resultType;
+        this._socket = null;
+        this._id = null;
+        this._result = new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+    }
+
+    get result(): Promise<any> {
+        return this._result;
+    }
+
+    register(socket: ClientSocket, id: Long) {
+        this._socket = socket;
+        this._id = id;
+        socket.addNotificationListener(id, this);
+    }
+
+    async onNotification(opCode: number, payload: MessageBuffer, error: Error) {
+        // The task is completed by the only notification
+        this._socket.removeNotificationListener(this._id);
+        if (error) {
+            this._reject(error);
+            return;
+        }
+        try {
+            this._resolve(await this._communicator.readObject(payload, this._resultType));
+        }
+        catch (err) {
+            this._reject(err);
+        }
+    }
+
+    onDisconnect(error: Error) {
+        this._reject(error);
+    }
+}
@@ -0,0 +1,392 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ArgumentChecker from "./internal/ArgumentChecker";
+import ClientSocket, { STATE as SOCKET_STATE } from "./internal/ClientSocket";
+import MessageBuffer from "./internal/MessageBuffer";
+import Router from "./internal/Router";
+import { PRIMITIVE_TYPE } from "./internal/Constants";
+import { CompositeType } from "./ObjectType";
+import { FeatureNotSupportedError, IgniteClientError } from "./Errors";
+import { PROTOCOL_FEATURE } from "./ServerInfo";
+import { ClientClusterGroup } from "./ClientClusterGroup";
+
+// Properties looked up on objects by JavaScript and Node.js themselves (e.g. by await, JSON.stringify()
+// and util.inspect()), they are not treated as the methods of the service
+const OBJECT_PROPERTIES = new Set<string>([
+    'then', 'constructor', 'toJSON', 'toString', 'toLocaleString', 'valueOf', 'inspect',
+    'hasOwnProperty', 'isPrototypeOf', 'propertyIsEnumerable', '__proto__'
+]);
+
+/**
+ * Platform a service is implemented on.
+ * @typedef ServiceDescriptor.PLATFORM
+ * @enum
+ * @readonly
+ * @property JAVA 0
+ * @property DOTNET 1
+ */
+export enum SERVICE_PLATFORM {
+    JAVA = 0,
+    DOTNET = 1
+}
+
+/**
+ * Options of a service proxy.
+ *
+ * @typedef ServiceProxyOptions
+ * @property {number} [timeout=0] - timeout of every service method invocation in milliseconds,
+ *   0 means no timeout.
+ * @property {boolean} [sticky=false] - if true, all the invocations made through the proxy are sent
+ *   via the same server connection, otherwise every invocation is sent via the connection
+ *   used for requests with no particular target node.
+ * @property {Object<string, Array<ObjectType.PRIMITIVE_TYPE | CompositeType>>} [parameterTypes={}] -
+ *   per-method types of the arguments, method name is the key, the array contains the types of the
+ *   method arguments in order. If a type is not specified, it is determined by the argument value.
+ * @property {Object<string, ObjectType.PRIMITIVE_TYPE | CompositeType>} [resultTypes={}] -
+ *   per-method types of the results, method name is the key. If a type is not specified,
+ *   it is determined by the received result.
+ */
+export interface ServiceProxyOptions {
+    timeout?: number;
+    sticky?: boolean;
+    parameterTypes?: { [method: string]: Array<PRIMITIVE_TYPE | CompositeType> };
+    resultTypes?: { [method: string]: PRIMITIVE_TYPE | CompositeType };
+}
+
+/**
+ * Class representing the descriptor of a service deployed on the cluster.
+ *
+ * The class has no public constructor. Instances of this class are obtained
+ * via getServiceDescriptors() and getServiceDescriptor() methods of {@link ClientServices} objects.
+ *
+ * @hideconstructor
+ */
+export class ServiceDescriptor {
+
+    private _name: string;
+
+    private _serviceClass: string;
+
+    private _totalCount: number;
+
+    private _maxPerNodeCount: number;
+
+    private _cacheName: string;
+
+    private _originNodeId: number[];
+
+    private _platform: SERVICE_PLATFORM;
+
+    static get PLATFORM() {
+        return SERVICE_PLATFORM;
+    }
+
+    /**
+     * Name of the service.
+     *
+     * @type {string}
+     */
+    get name(): string {
+        return this._name;
+    }
+
+    /**
+     * Name of the service class.
+     *
+     * @type {string}
+     */
+    get serviceClass(): string {
+        return this._serviceClass;
+    }
+
+    /**
+     * Maximum number of the deployed service instances in the cluster, 0 means no limit.
+     *
+     * @type {number}
+     */
+    get totalCount(): number {
+        return this._totalCount;
+    }
+
+    /**
+     * Maximum number of the deployed service instances on each node, 0 means no limit.
+     *
+     * @type {number}
+     */
+    get maxPerNodeCount(): number {
+        return this._maxPerNodeCount;
+    }
+
+    /**
+     * Name of the cache the service is affinity-collocated with, null if not collocated.
+     *
+     * @type {string}
+     */
+    get cacheName(): string {
+        return this._cacheName;
+    }
+
+    /**
+     * Id (UUID) of the node which has initiated the service deployment.
+     *
+     * @type {Array<number>}
+     */
+    get originNodeId(): number[] {
+        return this._originNodeId;
+    }
+
+    /**
+     * Platform the service is implemented on.
+     *
+     * @type {ServiceDescriptor.PLATFORM}
+     */
+    get platform(): SERVICE_PLATFORM {
+        return this._platform;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor() {
+        this._name = null;
+        this._serviceClass = null;
+        this._totalCount = 0;
+        this._maxPerNodeCount = 0;
+        this._cacheName = null;
+        this._originNodeId = null;
+        this._platform = SERVICE_PLATFORM.JAVA;
+    }
+
+    /**
+     * @ignore
+     */
+    static async _read(communicator: BinaryCommunicator, buffer: MessageBuffer): Promise<ServiceDescriptor> {
+        const descriptor = new ServiceDescriptor();
+        descriptor._name = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.STRING);
+        descriptor._serviceClass = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.STRING);
+        descriptor._totalCount = buffer.readInteger();
+        descriptor._maxPerNodeCount = buffer.readInteger();
+        descriptor._cacheName = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.STRING);
+        descriptor._originNodeId = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.UUID);
+        descriptor._platform = buffer.readByte();
+        return descriptor;
+    }
+}
+
+/**
+ * Class representing the service grid functionality for a group of the cluster nodes.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via services() method of {@link IgniteClient} objects.
+ *
+ * @hideconstructor
+ */
+export class ClientServices {
+
+    private _router: Router;
+
+    private _communicator: BinaryCommunicator;
+
+    private _clusterGroup: ClientClusterGroup;
+
+    /**
+     * Returns a proxy of the service deployed on the cluster.
+     *
+     * Every method call on the proxy, e.g. proxy.someMethod(a, b), invokes the method
+     * with the same name of the service and returns a Promise resolved with the result of
+     * the invocation. The invocations are executed on the nodes of the cluster group
+     * the services instance has been obtained for.
+     * The standard object properties, e.g. then, toJSON, toString and constructor, are not the service methods,
+     * they are undefined for the proxy.
+     *
+     * @param {string} name - name of the service.
+     * @param {ServiceProxyOptions} [options={}] - options of the proxy.
+     *
+     * @return {object} - service proxy.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    getServiceProxy(name: string, options: ServiceProxyOptions = {}): any {
+        ArgumentChecker.notEmpty(name, 'name');
+        ArgumentChecker.notNull(options, 'options');
+        const timeout = options.timeout !== undefined ? options.timeout : 0;
+        ArgumentChecker.isInteger(timeout, 'timeout');
+        const parameterTypes = options.parameterTypes || {};
+        const resultTypes = options.resultTypes || {};
+
+        let stickySocket: ClientSocket = null;
+        const getSocket = (): ClientSocket => {
+            if (!options.sticky) {
+                return this._getSocket();
+            }
+            // A new connection is chosen once the previous one is lost
+            if (!stickySocket || stickySocket.state !== SOCKET_STATE.CONNECTED) {
+                stickySocket = this._getSocket();
+            }
+            return stickySocket;
+        };
+
+        return new Proxy({}, {
+            get: (target, property) => {
+                // Neither a thenable nor an iterable, so that the proxy can be awaited, serialized and inspected
+                if (typeof property !== 'string' || OBJECT_PROPERTIES.has(property)) {
+                    return undefined;
+                }
+                return (...args) => this._invoke(getSocket, name, property, args, timeout,
+                    parameterTypes[property] || [], resultTypes[property] || null);
+            }
+        });
+    }
+
+    /**
+     * Returns the descriptors of all the services deployed on the cluster.
+     *
+     * @async
+     *
+     * @return {Promise<Array<ServiceDescriptor>>} - service descriptors.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support service descriptors.
+     * @throws {IgniteClientError} if other error.
+     */
+    async getServiceDescriptors(): Promise<ServiceDescriptor[]> {
+        const socket = this._getSocket(PROTOCOL_FEATURE.GET_SERVICE_DESCRIPTORS, 'Service descriptors');
+        const descriptors: ServiceDescriptor[] = [];
+        await this._communicator.send(
+            BinaryUtils.OPERATION.SERVICE_GET_DESCRIPTORS,
+            null,
+            async (payload) => {
+                const count = payload.readInteger();
+                for (let i = 0; i < count; i++) {
+                    descriptors.push(await ServiceDescriptor._read(this._communicator, payload));
+                }
+            },
+            null,
+            socket);
+        return descriptors;
+    }
+
+    /**
+     * Returns the descriptor of the service deployed on the cluster.
+     *
+     * @async
+     *
+     * @param {string} name - name of the service.
+     *
+     * @return {Promise<ServiceDescriptor>} - service descriptor.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support service descriptors.
+     * @throws {OperationError} if the service is not deployed.
+     * @throws {IgniteClientError} if other error.
+     */
+    async getServiceDescriptor(name: string): Promise<ServiceDescriptor> {
+        ArgumentChecker.notEmpty(name, 'name');
+        const socket = this._getSocket(PROTOCOL_FEATURE.GET_SERVICE_DESCRIPTORS, 'Service descriptors');
+        let descriptor: ServiceDescriptor = null;
+        await this._communicator.send(
+            BinaryUtils.OPERATION.SERVICE_GET_DESCRIPTOR,
+            async (payload) => {
+                BinaryCommunicator.writeString(payload, name);
+            },
+            async (payload) => {
+                descriptor = await ServiceDescriptor._read(this._communicator, payload);
+            },
+            null,
+            socket);
+        return descriptor;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(router: Router, communicator: BinaryCommunicator, clusterGroup: ClientClusterGroup = null) {
+        this._router = router;
+        this._communicator = communicator;
+        this._clusterGroup = clusterGroup;
+    }
+
+    /**
+     * The socket is obtained inside the async method, so that every failure
+     * is reported to the caller of the proxy method by the rejected Promise.
+     * @ignore
+     */
+    async _invoke(getSocket: () => ClientSocket, name: string, method: string, args: any[], timeout: number,
+                  parameterTypes: Array<PRIMITIVE_TYPE | CompositeType>, resultType: PRIMITIVE_TYPE | CompositeType): Promise<any> {
+        const socket = getSocket();
+        if (!socket.isFeatureSupported(PROTOCOL_FEATURE.SERVICE_INVOKE)) {
+            throw new FeatureNotSupportedError('Service invocation');
+        }
+        const nodeIds = this._clusterGroup ? await this._clusterGroup.nodeIds() : null;
+        if (nodeIds && nodeIds.length === 0) {
+            throw new IgniteClientError('Cluster group is empty');
+        }
+
+        let result = null;
+        await this._communicator.send(
+            BinaryUtils.OPERATION.SERVICE_INVOKE,
+            async (payload) => {
+                BinaryCommunicator.writeString(payload, name);
+                payload.writeByte(0); // flags
+                payload.writeLong(timeout);
+                if (nodeIds) {
+                    payload.writeInteger(nodeIds.length);
+                    for (let id of nodeIds) {
+                        this._communicator._writeUUID(payload, id);
+                    }
+                }
+                else {
+                    // Any node the service is deployed on
+                    payload.writeInteger(0);
+                }
+                BinaryCommunicator.writeString(payload, method);
+                payload.writeInteger(args.length);
+                for (let i = 0; i < args.length; i++) {
+                    await this._communicator.writeObject(payload, args[i], parameterTypes[i] || null);
+                }
+            },
+            async (payload) => {
+                result = await this._communicator.readObject(payload, resultType);
+            },
+            null,
+            socket);
+        return result;
+    }
+
+    /**
+     * Returns the connection for the service requests.
+     * The support of the feature, if specified, is checked on the connection the request is sent to,
+     * as the nodes of the cluster may run different Ignite versions.
+     * @ignore
+     */
+    _getSocket(feature: PROTOCOL_FEATURE = null, featureName: string = null): ClientSocket {
+        const socket = this._router.getConnection();
+        if (feature !== null && !socket.isFeatureSupported(feature)) {
+            throw new FeatureNotSupportedError(featureName);
+        }
+        return socket;
+    }
+}
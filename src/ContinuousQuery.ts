@@ -0,0 +1,295 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import Long = require('long');
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ClientSocket, { NotificationListener, STATE as SOCKET_STATE } from "./internal/ClientSocket";
+import MessageBuffer from "./internal/MessageBuffer";
+import Logger from "./internal/Logger";
+import { PRIMITIVE_TYPE } from "./internal/Constants";
+import { CompositeType } from "./ObjectType";
+import { BaseCursor } from "./Cursor";
+import { ScanQuery, SqlFieldsQuery, SqlQuery } from "./Query";
+
+/**
+ * Type of a cache entry event.
+ * @typedef CacheEntryEvent.EVENT_TYPE
+ * @enum
+ * @readonly
+ * @property CREATED 0
+ * @property UPDATED 1
+ * @property REMOVED 2
+ * @property EXPIRED 3
+ */
+export enum CACHE_ENTRY_EVENT_TYPE {
+    CREATED = 0,
+    UPDATED = 1,
+    REMOVED = 2,
+    EXPIRED = 3
+}
+
+/**
+ * Options of a continuous query.
+ *
+ * @typedef ContinuousQueryOptions
+ * @property {SqlQuery | SqlFieldsQuery | ScanQuery} [initialQuery] - query which is executed
+ *   after the continuous query is registered, its results are available via
+ *   {@link ContinuousQueryHandle#getInitialQueryCursor}.
+ * @property {number} [bufferSize=1] - number of events the server buffers before sending them to the client.
+ * @property {number} [timeInterval=0] - time interval in milliseconds after which the server sends
+ *   buffered events even if the buffer is not full; 0 means the events are sent only when the buffer is full.
+ * @property {boolean} [includeExpired=false] - whether to notify about expired entries.
+ * @property {function(Error)} [onDisconnect] - called when the connection the continuous query
+ *   has been registered on is lost; no events are delivered after that.
+ */
+export interface ContinuousQueryOptions {
+    initialQuery?: SqlQuery | SqlFieldsQuery | ScanQuery;
+    bufferSize?: number;
+    timeInterval?: number;
+    includeExpired?: boolean;
+    onDisconnect?: (error: Error) => void;
+}
+
+/**
+ * Listener of cache entry events.
+ * Receives the events of one notification sent by the server, in the order they have happened.
+ * If the listener returns a Promise, the next events are not delivered until it is settled.
+ *
+ * @typedef ContinuousQueryListener
+ * @type {function(Array<CacheEntryEvent>)}
+ */
+export type ContinuousQueryListener = (events: CacheEntryEvent[]) => void | Promise<void>;
+
+/**
+ * Class representing a change of a cache entry reported by a continuous query.
+ *
+ * The class has no public constructor. Instances of this class are passed
+ * to the listener of {@link CacheClient#queryContinuous}.
+ *
+ * @hideconstructor
+ */
+export class CacheEntryEvent {
+
+    private _key: any;
+
+    private _value: any;
+
+    private _oldValue: any;
+
+    private _eventType: CACHE_ENTRY_EVENT_TYPE;
+
+    static get EVENT_TYPE() {
+        return CACHE_ENTRY_EVENT_TYPE;
+    }
+
+    /**
+     * Returns the key of the cache entry.
+     *
+     * @return {*} - key of the cache entry.
+     */
+    getKey(): any {
+        return this._key;
+    }
+
+    /**
+     * Returns the new value of the cache entry.
+     *
+     * @return {*} - new value of the cache entry.
+     */
+    getValue(): any {
+        return this._value;
+    }
+
+    /**
+     * Returns the previous value of the cache entry.
+     *
+     * @return {*} - previous value of the cache entry, null for CREATED event.
+     */
+    getOldValue(): any {
+        return this._oldValue;
+    }
+
+    /**
+     * Returns the type of the event.
+     *
+     * @return {CacheEntryEvent.EVENT_TYPE} - type of the event.
+     */
+    getEventType(): CACHE_ENTRY_EVENT_TYPE {
+        return this._eventType;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(key: any, value: any, oldValue: any, eventType: CACHE_ENTRY_EVENT_TYPE) {
+        this._key = key;
+        this._value = value;
+        this._oldValue = oldValue;
+        this._eventType = eventType;
+    }
+}
+
+/**
+ * Class representing a continuous query registered on the server.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via queryContinuous() method of {@link CacheClient} objects.
+ *
+ * The continuous query is bound to the connection it has been registered on.
+ * It keeps delivering events until it is closed or the connection is lost.
+ *
+ * @hideconstructor
+ */
+export class ContinuousQueryHandle implements NotificationListener {
+
+    private _communicator: BinaryCommunicator;
+
+    private _socket: ClientSocket;
+
+    private _id: Long;
+
+    private _keyType: PRIMITIVE_TYPE | CompositeType;
+
+    private _valueType: PRIMITIVE_TYPE | CompositeType;
+
+    private _listener: ContinuousQueryListener;
+
+    private _onDisconnect: (error: Error) => void;
+
+    private _initialQueryCursor: BaseCursor<any>;
+
+    private _closed: boolean;
+
+    /**
+     * Returns the cursor of the initial query.
+     *
+     * @return {Cursor | SqlFieldsCursor} - cursor to obtain the results of the initial query,
+     *   or null if no initial query has been specified.
+     */
+    getInitialQueryCursor(): BaseCursor<any> {
+        return this._initialQueryCursor;
+    }
+
+    /**
+     * Stops the continuous query and releases the server-side resources.
+     * No events are delivered to the listener after the method is called.
+     * Does nothing if the continuous query is already closed.
+     *
+     * @async
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    async close() {
+        if (this._closed) {
+            return;
+        }
+        this._closed = true;
+        this._socket.removeNotificationListener(this._id);
+        // The server drops the continuous query by itself when the connection is closed
+        if (this._socket.state === SOCKET_STATE.CONNECTED) {
+            await this._communicator.send(
+                BinaryUtils.OPERATION.RESOURCE_CLOSE,
+                async (payload) => {
+                    payload.writeLong(this._id);
+                },
+                null,
+                null,
+                this._socket);
+        }
+    }
+
+    /**
+     * Checks if the continuous query is closed.
+     *
+     * @return {boolean} - true if the continuous query has been closed or
+     *   its connection has been lost, false otherwise.
+     */
+    isClosed(): boolean {
+        return this._closed;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(communicator: BinaryCommunicator, socket: ClientSocket, id: Long,
+                keyType: PRIMITIVE_TYPE | CompositeType, valueType: PRIMITIVE_TYPE | CompositeType,
+                listener: ContinuousQueryListener, onDisconnect: (error: Error) => void) {
+        this._communicator = communicator;
+        this._socket = socket;
+        this._id = id;
+        this._keyType = keyType;
+        this._valueType = valueType;
+        this._listener = listener;
+        this._onDisconnect = onDisconnect;
+        this._initialQueryCursor = null;
+        this._closed = false;
+    }
+
+    /**
+     * @ignore
+     */
+    _setInitialQueryCursor(cursor: BaseCursor<any>) {
+        this._initialQueryCursor = cursor;
+    }
+
+    /**
+     * @ignore
+     */
+    async onNotification(opCode: number, payload: MessageBuffer, error: Error) {
+        if (this._closed) {
+            return;
+        }
+        if (error) {
+            Logger.logError('Continuous query ' + this._id + ' failed: ' + error.message);
+            return;
+        }
+        if (opCode !== BinaryUtils.OPERATION.QUERY_CONTINUOUS_EVENT_NOTIFICATION) {
+            Logger.logError('Unexpected notification for continuous query ' + this._id + ': ' + opCode);
+            return;
+        }
+        const count = payload.readInteger();
+        const events = new Array<CacheEntryEvent>(count);
+        for (let i = 0; i < count; i++) {
+            const key = await this._communicator.readObject(payload, this._keyType);
+            const oldValue = await this._communicator.readObject(payload, this._valueType);
+            const value = await this._communicator.readObject(payload, this._valueType);
+            const eventType = payload.readByte();
+            events[i] = new CacheEntryEvent(key, value, oldValue, eventType);
+        }
+        await this._listener(events);
+    }
+
+    /**
+     * @ignore
+     */
+    onDisconnect(error: Error) {
+        if (this._closed) {
+            return;
+        }
+        this._closed = true;
+        if (this._onDisconnect) {
+            this._onDisconnect(error);
+        }
+    }
+}
@@ -17,13 +17,39 @@
 
 'use strict';
 
+import * as Util from "util";
 import Long = require('long');
+import { Readable } from "stream";
 import BinaryUtils, { OPERATION } from './internal/BinaryUtils';
 import BinaryCommunicator from "./internal/BinaryCommunicator";
 import {PRIMITIVE_TYPE} from "./internal/Constants";
 import {CompositeType} from "./ObjectType";
 import MessageBuffer from "./internal/MessageBuffer";
+import ClientSocket, { STATE as SOCKET_STATE } from "./internal/ClientSocket";
 import {CacheEntry} from "./CacheClient";
+import {AbortError, CursorLostError, LostConnectionError, OperationError} from "./Errors";
+import {OperationOptions} from "./OperationOptions";
+
+/**
+ * @ignore
+ */
+interface PrefetchedPage {
+    result: Promise<MessageBuffer>;
+    size: number;
+    cancelled: boolean;
+    // The page is not requested in advance because of the limit of the prefetched bytes
+    deferred: boolean;
+}
+
+/**
+ * @ignore
+ */
+export interface QueryFailover {
+    // Number of the parts the query is executed by, one after another
+    parts: number;
+    // Executes the part of the query again via any available connection
+    open(part: number): Promise<BaseCursor<any>>;
+}
 
 export abstract class BaseCursor<T> {
 
@@ -33,6 +59,10 @@ export abstract class BaseCursor<T> {
 
     protected _communicator: BinaryCommunicator;
 
+    protected _socket: ClientSocket;
+
+    protected _options: OperationOptions;
+
     protected _operation: OPERATION;
 
     protected _buffer: MessageBuffer;
@@ -45,6 +75,22 @@ export abstract class BaseCursor<T> {
 
     protected _valueIndex: number;
 
+    protected _prefetchPages: number;
+
+    protected _prefetchMaxBytes: number;
+
+    protected _prefetchQueue: PrefetchedPage[];
+
+    protected _prefetchedBytes: number;
+
+    protected _failover: QueryFailover;
+
+    protected _part: number;
+
+    protected _readRows: number;
+
+    protected _skipRows: number;
+
     /**
      * Returns one element (cache entry) from the query results.
      *
@@ -53,11 +99,17 @@ export abstract class BaseCursor<T> {
      *
      * @async
      *
+     * @param {OperationOptions} [options] - options of the request of the next page, if it is needed.
+     *   By default, the options of the query operation are used.
+     *
      * @return {Promise<T>} - a cache entry.
+     *
+     * @throws {CursorLostError} if the connection the cursor has been opened on is lost.
+     * @throws {IgniteClientError} if other error.
      */
-    async getValue(): Promise<T> {
+    async getValue(options: OperationOptions = null): Promise<T> {
         if (!this._values || this._valueIndex >= this._values.length) {
-            await this._getValues();
+            await this._getValues(options);
             this._valueIndex = 0;
         }
         if (this._values && this._values.length > 0) {
@@ -74,7 +126,7 @@ export abstract class BaseCursor<T> {
      * @return {boolean} - true if more cache entries are available, false otherwise.
      */
     hasMore(): boolean {
-        if (this._hasNext) {
+        if (this._hasNextPage()) {
             return true;
         }
         if (this._values != null && this._valueIndex < this._values.length) {
@@ -106,36 +158,119 @@ export abstract class BaseCursor<T> {
      *
      * @async
      *
+     * @param {OperationOptions} [options] - options of the requests of the pages.
+     *   By default, the options of the query operation are used.
+     *
      * @return {Promise<Array<T>>} - all cache entries returned by SQL or Scan query.
+     *
+     * @throws {CursorLostError} if the connection the cursor has been opened on is lost.
+     * @throws {IgniteClientError} if other error.
      */
-    async getAll(): Promise<T[]> {
+    async getAll(options: OperationOptions = null): Promise<T[]> {
         let result: T[] = [];
         let values: T[];
         do {
-            values = await this._getValues();
+            values = await this._getValues(options);
             if (values) {
                 result = result.concat(values);
             }
-        } while (this._hasNext);
+        } while (this._hasNextPage());
         return result;
     }
 
+    /**
+     * Returns the size of the pages which have been received in advance and not consumed yet.
+     * Always 0 if prefetching is not enabled by setPrefetchPages() method of the query.
+     *
+     * @return {number} - size of the prefetched pages in bytes.
+     */
+    getPrefetchedBytes(): number {
+        return this._prefetchedBytes;
+    }
+
+    /**
+     * Returns an async iterator over the query results, so the cursor can be used in for await...of loops.
+     *
+     * The pages are requested from the server one by one, as the elements are consumed.
+     * The cursor is closed when the loop is finished, including the exit by break, return or exception.
+     *
+     * @return {AsyncIterator<T>} - iterator over the query results.
+     */
+    async *[Symbol.asyncIterator](): AsyncGenerator<T> {
+        try {
+            let value: T;
+            while ((value = await this.getValue()) !== null) {
+                yield value;
+            }
+        }
+        finally {
+            await this.close();
+        }
+    }
+
+    /**
+     * Returns a Readable stream in object mode which emits the query results.
+     *
+     * The next page is requested from the server only when the stream consumers need more elements.
+     * The cursor is closed when the stream is ended or destroyed.
+     *
+     * @return {Readable} - stream of the query results.
+     */
+    toStream(): Readable {
+        const stream = new Readable({
+            objectMode: true,
+            read: () => {
+                this.getValue().then(
+                    (value) => {
+                        // null ends the stream
+                        if (!stream.destroyed) {
+                            stream.push(value);
+                        }
+                    },
+                    (error) => stream.destroy(error));
+            },
+            destroy: (error, callback) => {
+                this.close().then(
+                    () => callback(error),
+                    (closeError) => callback(error || closeError));
+            }
+        });
+        return stream;
+    }
+
     /**
      * Closes the cursor. Obtaining elements from the results is not possible after this.
      *
      * This method should be called if no more elements are needed.
      * It is not neccessary to call it if all elements have been already obtained.
+     * Does nothing if the cursor is already closed.
+     * The page requests made in advance are cancelled, their results are discarded.
      *
      * @async
      */
     async close() {
+        this._failover = null;
+        this._values = null;
+        this._buffer = null;
+        const prefetching = this._cancelPrefetch();
         // Close cursor only if the server has more pages: the server closes cursor automatically on last page
+        // or when the connection is lost
         if (this._id && this._hasNext) {
-            await this._communicator.send(
-                BinaryUtils.OPERATION.RESOURCE_CLOSE,
-                async (payload) => {
-                    await this._write(payload);
-                });
+            this._hasNext = false;
+            if (this._isLost()) {
+                return;
+            }
+            try {
+                await this._closeResource();
+            }
+            catch (err) {
+                // One of the cancelled page requests may have received the last page,
+                // so the server has already closed the cursor.
+                // The server also closes the cursor if the connection is lost meanwhile
+                if (!(err instanceof CursorLostError) && (!prefetching || !(err instanceof OperationError))) {
+                    throw err;
+                }
+            }
         }
     }
 
@@ -146,6 +281,8 @@ export abstract class BaseCursor<T> {
      */
     constructor(communicator: BinaryCommunicator, operation: OPERATION, buffer: MessageBuffer, keyType = null, valueType = null) {
         this._communicator = communicator;
+        this._socket = null;
+        this._options = null;
         this._operation = operation;
         this._buffer = buffer;
         this._keyType = keyType;
@@ -154,35 +291,292 @@ export abstract class BaseCursor<T> {
         this._hasNext = false;
         this._values = null;
         this._valueIndex = 0;
+        this._prefetchPages = 0;
+        this._prefetchMaxBytes = 0;
+        this._prefetchQueue = [];
+        this._prefetchedBytes = 0;
+        this._failover = null;
+        this._part = 0;
+        this._readRows = 0;
+        this._skipRows = 0;
     }
 
     /**
      * @ignore
      */
-    async _getNext() {
+    _hasNextPage(): boolean {
+        return this._hasNext || this._failover !== null && this._part + 1 < this._failover.parts;
+    }
+
+    /**
+     * @ignore
+     */
+    _setFailover(failover: QueryFailover) {
+        this._failover = failover;
+    }
+
+    /**
+     * @ignore
+     */
+    _setSocket(socket: ClientSocket) {
+        this._socket = socket;
+    }
+
+    /**
+     * @ignore
+     */
+    _setOptions(options: OperationOptions) {
+        this._options = options;
+    }
+
+    /**
+     * @ignore
+     */
+    _setPrefetch(pages: number, maxBytes: number) {
+        this._prefetchPages = pages;
+        this._prefetchMaxBytes = maxBytes;
+    }
+
+    /**
+     * @ignore
+     */
+    async _getNext(options: OperationOptions = null) {
+        const page = this._prefetchQueue.length > 0 ? this._prefetchQueue.shift() : null;
         this._hasNext = false;
         this._values = null;
         this._buffer = null;
-        await this._communicator.send(
-            this._operation,
-            async (payload) => {
-                await this._write(payload);
-            },
-            async (payload) => {
-                this._buffer = payload;
+        try {
+            if (page) {
+                try {
+                    this._buffer = await page.result;
+                }
+                finally {
+                    this._prefetchedBytes -= page.size;
+                }
+                if (page.deferred) {
+                    // The following pages are deferred as well, they are requested in advance again
+                    // once this page is read
+                    this._cancelPrefetch();
+                    this._buffer = await this._requestPage(options || this._options);
+                }
+            }
+            else {
+                this._buffer = await this._requestPage(options || this._options);
+            }
+        }
+        catch (err) {
+            this._cancelPrefetch();
+            if (err instanceof AbortError && this._id) {
+                // The server is not aware of the aborted request and keeps the query running
+                // until the cursor is closed. It may have closed the cursor already if the page was the last one.
+                await this._closeResource().catch(() => {});
+            }
+            if (err instanceof CursorLostError && this._failover) {
+                await this._restart(err);
+                return;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    async _restart(error: CursorLostError) {
+        let cursor: BaseCursor<T>;
+        try {
+            cursor = await this._failover.open(this._part);
+        }
+        catch (err) {
+            throw new CursorLostError(Util.format('%s, the query can not be restarted: %s', error.message, err.message));
+        }
+        this._openPart(cursor);
+        // The rows read before the connection was lost are returned by the restarted query again
+        this._skipRows = this._readRows;
+        this._readRows = 0;
+    }
+
+    /**
+     * @ignore
+     */
+    _openPart(cursor: BaseCursor<T>) {
+        this._id = cursor._id;
+        this._socket = cursor._socket;
+        this._buffer = cursor._buffer;
+        this._hasNext = false;
+    }
+
+    /**
+     * @ignore
+     */
+    async _closeResource() {
+        // The close request is not bound to the signal of the cursor, which may be aborted already
+        const options = this._options ? { timeout: this._options.timeout } : null;
+        try {
+            await this._communicator.send(
+                BinaryUtils.OPERATION.RESOURCE_CLOSE,
+                async (payload) => {
+                    await this._write(payload);
+                },
+                null,
+                null,
+                this._socket,
+                options);
+        }
+        catch (err) {
+            throw this._getLostError(err);
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    async _requestPage(options: OperationOptions): Promise<MessageBuffer> {
+        let buffer: MessageBuffer = null;
+        try {
+            await this._communicator.send(
+                this._operation,
+                async (payload) => {
+                    await this._write(payload);
+                },
+                async (payload) => {
+                    buffer = payload;
+                },
+                null,
+                this._socket,
+                options);
+        }
+        catch (err) {
+            throw this._getLostError(err);
+        }
+        return buffer;
+    }
+
+    /**
+     * @ignore
+     */
+    _isLost(): boolean {
+        return this._socket !== null && this._socket.state !== SOCKET_STATE.CONNECTED;
+    }
+
+    /**
+     * @ignore
+     */
+    _getLostError(error: Error): Error {
+        // The cursor id is valid within the connection the cursor has been opened on only,
+        // the request can not be sent to another node
+        if (error instanceof LostConnectionError || this._isLost()) {
+            return new CursorLostError(Util.format('Cursor %s is lost: connection to %s is lost (%s)',
+                this._id, this._socket ? this._socket.endpoint : null, error.message));
+        }
+        return error;
+    }
+
+    /**
+     * @ignore
+     */
+    _prefetch() {
+        while (this._prefetchQueue.length < this._prefetchPages && !this._prefetchLimitReached()) {
+            const previous = this._prefetchQueue.length > 0 ? this._prefetchQueue[this._prefetchQueue.length - 1] : null;
+            const page: PrefetchedPage = { result: null, size: 0, cancelled: false, deferred: false };
+            // The server may process concurrent requests of the cursor in any order and closes the cursor
+            // once the last page is sent, so the next page is requested after the previous one is received
+            const request = previous ?
+                previous.result.then((buffer) => {
+                    if (previous.deferred || (buffer && this._prefetchLimitReached())) {
+                        page.deferred = true;
+                        return null;
+                    }
+                    return buffer && !page.cancelled && !BaseCursor._isLastPage(buffer) ?
+                        this._requestPage(this._options) : null;
+                }) :
+                this._requestPage(this._options);
+            page.result = request.then((buffer) => {
+                if (buffer && !page.cancelled) {
+                    page.size = buffer.length - buffer.position;
+                    this._prefetchedBytes += page.size;
+                }
+                return buffer;
             });
+            // The error is thrown when the page is consumed, or ignored if the page is cancelled
+            page.result.catch(() => {});
+            this._prefetchQueue.push(page);
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    _prefetchLimitReached(): boolean {
+        return this._prefetchMaxBytes > 0 && this._prefetchedBytes >= this._prefetchMaxBytes;
+    }
+
+    /**
+     * @ignore
+     */
+    static _isLastPage(buffer: MessageBuffer): boolean {
+        // The page ends with "has next page" flag
+        return buffer.buffer[buffer.length - 1] === 0;
+    }
+
+    /**
+     * @ignore
+     */
+    _cancelPrefetch(): boolean {
+        const cancelled = this._prefetchQueue.length > 0;
+        for (const page of this._prefetchQueue) {
+            page.cancelled = true;
+            this._prefetchedBytes -= page.size;
+        }
+        this._prefetchQueue = [];
+        return cancelled;
     }
 
     /**
      * @ignore
      */
-    async _getValues(): Promise<T[]> {
+    async _getValues(options: OperationOptions = null): Promise<T[]> {
+        await this._readPage(options);
+        while (this._failover) {
+            const skipped = Math.min(this._skipRows, this._values.length);
+            if (skipped > 0) {
+                this._values = this._values.slice(skipped);
+                this._skipRows -= skipped;
+            }
+            this._readRows += skipped + this._values.length;
+            if (this._values.length > 0 || !this._hasNextPage()) {
+                break;
+            }
+            if (!this._hasNext) {
+                this._openPart(await this._failover.open(this._part + 1));
+                this._part++;
+                this._readRows = 0;
+                this._skipRows = 0;
+            }
+            await this._readPage(options);
+        }
+        return this._values;
+    }
+
+    /**
+     * @ignore
+     */
+    async _readPage(options: OperationOptions) {
         if (!this._buffer && this._hasNext) {
-            await this._getNext();
+            await this._getNext(options);
         }
         if (this._buffer) {
             await this._read(this._buffer);
             this._buffer = null;
+            if (this._prefetchPages > 0) {
+                // The requests made in advance beyond the last page are of no use
+                if (this._hasNext) {
+                    this._prefetch();
+                }
+                else {
+                    this._cancelPrefetch();
+                }
+            }
         } else {
             // No buffer and no next page — cursor is exhausted. Return an empty
             // array (not null) to honour the declared Promise<T[]> contract: an
@@ -191,7 +585,6 @@ export abstract class BaseCursor<T> {
             // stays false, so old entries are never replayed.
             this._values = [];
         }
-        return this._values;
     }
 
     /**
@@ -276,6 +669,8 @@ export class SqlFieldsCursor extends BaseCursor<Array<object>> {
 
     private _fieldNames: string[];
 
+    private _keepBinary: boolean;
+
     /**
      * Returns one element (array with values of the fields) from the query results.
      *
@@ -284,11 +679,17 @@ export class SqlFieldsCursor extends BaseCursor<Array<object>> {
      *
      * @async
      *
+     * @param {OperationOptions} [options] - options of the request of the next page, if it is needed.
+     *   By default, the options of the query operation are used.
+     *
      * @return {Promise<Array<*>>} - array with values of the fields requested by the query.
      *
+     *
+     * @throws {CursorLostError} if the connection the cursor has been opened on is lost.
+     * @throws {IgniteClientError} if other error.
      */
-    async getValue(): Promise<Array<object>> {
-        return await super.getValue();
+    async getValue(options: OperationOptions = null): Promise<Array<object>> {
+        return await super.getValue(options);
     }
 
     /**
@@ -299,12 +700,17 @@ export class SqlFieldsCursor extends BaseCursor<Array<object>> {
      *
      * @async
      *
+     * @param {OperationOptions} [options] - options of the requests of the pages.
+     *   By default, the options of the query operation are used.
+     *
      * @return {Promise<Array<Array<*>>>} - all results returned by SQL Fields query.
      *   Every element of the array is an array with values of the fields requested by the query.
      *
+     * @throws {CursorLostError} if the connection the cursor has been opened on is lost.
+     * @throws {IgniteClientError} if other error.
      */
-    async getAll(): Promise<Array<object>[]> {
-        return await super.getAll();
+    async getAll(options: OperationOptions = null): Promise<Array<object>[]> {
+        return await super.getAll(options);
     }
 
     /**
@@ -345,9 +751,10 @@ export class SqlFieldsCursor extends BaseCursor<Array<object>> {
     /**
      * @ignore
      */
-    constructor(communicator: BinaryCommunicator, buffer: MessageBuffer) {
+    constructor(communicator: BinaryCommunicator, buffer: MessageBuffer, keepBinary = false) {
         super(communicator, OPERATION.QUERY_SQL_FIELDS_CURSOR_GET_PAGE, buffer);
         this._fieldNames = [];
+        this._keepBinary = keepBinary;
     }
 
     /**
@@ -371,6 +778,9 @@ export class SqlFieldsCursor extends BaseCursor<Array<object>> {
         let fieldType;
         for (let i = 0; i < this._fieldCount; i++) {
             fieldType = this._fieldTypes && i < this._fieldTypes.length ? this._fieldTypes[i] : null;
+            if (this._keepBinary) {
+                fieldType = BinaryUtils.getKeepBinaryType(fieldType);
+            }
             values[i] = await this._communicator.readObject(buffer, fieldType);
         }
         return values;
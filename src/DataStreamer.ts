@@ -0,0 +1,416 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import * as Util from "util";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ArgumentChecker from "./internal/ArgumentChecker";
+import ClientSocket from "./internal/ClientSocket";
+import Router from "./internal/Router";
+import { PRIMITIVE_TYPE } from "./internal/Constants";
+import { CompositeType } from "./ObjectType";
+import { IgniteClientError, LostConnectionError } from "./Errors";
+import { AffinityHint, CacheClient } from "./CacheClient";
+
+const FLAG_ALLOW_OVERWRITE = 1;
+const FLAG_SKIP_STORE = 2;
+const FLAG_FLUSH = 8;
+const FLAG_CLOSE = 16;
+
+// Batches sent to one node
+interface NodeBatches {
+    // Batches in progress
+    inFlight: Set<Promise<void>>;
+    // Number of the parallel operations reserved
+    slots: number;
+    // Callers waiting for a parallel operation, in order of the calls
+    waiters: Array<() => void>;
+}
+
+/**
+ * Options of a data streamer.
+ *
+ * @typedef DataStreamerOptions
+ * @property {boolean} [allowOverwrite=false] - whether the existing cache entries are overwritten.
+ *   If false, the entries which are already in the cache are left untouched and removals are ignored.
+ * @property {number} [perNodeBufferSize=512] - number of entries buffered for one server node
+ *   before they are sent as a single batch.
+ * @property {number} [perNodeParallelOperations=4] - maximal number of batches sent to one server node
+ *   at the same time. When the limit is reached, the adding methods wait until one of the batches is completed.
+ * @property {number} [flushInterval=0] - interval in milliseconds of automatic flushing of the buffered entries,
+ *   0 means the entries are sent only when a buffer is full or on explicit flush.
+ * @property {boolean} [skipStore=false] - whether the cache store is skipped.
+ * @property {ObjectType.PRIMITIVE_TYPE | CompositeType} [keyType=null] - type of the keys,
+ *   if not specified, it is determined by the key value.
+ * @property {ObjectType.PRIMITIVE_TYPE | CompositeType} [valueType=null] - type of the values,
+ *   if not specified, it is determined by the value.
+ */
+export interface DataStreamerOptions {
+    allowOverwrite?: boolean;
+    perNodeBufferSize?: number;
+    perNodeParallelOperations?: number;
+    flushInterval?: number;
+    skipStore?: boolean;
+    keyType?: PRIMITIVE_TYPE | CompositeType;
+    valueType?: PRIMITIVE_TYPE | CompositeType;
+}
+
+/**
+ * Class representing a data streamer which loads large amounts of data into a cache.
+ *
+ * The entries are buffered on the client and sent to the server in batches.
+ * With partition awareness enabled, the entries are grouped by the primary node of their keys
+ * and every batch is sent directly to that node.
+ *
+ * The data is not guaranteed to be in the cache until flush() or close() is completed.
+ * If a batch fails, the error is thrown by the next call of any method of the streamer.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via dataStreamer() method of {@link IgniteClient} objects.
+ *
+ * @hideconstructor
+ */
+export class DataStreamer {
+
+    private _router: Router;
+
+    private _communicator: BinaryCommunicator;
+
+    private _cacheId: number;
+
+    private _flags: number;
+
+    private _perNodeBufferSize: number;
+
+    private _perNodeParallelOperations: number;
+
+    private _keyType: PRIMITIVE_TYPE | CompositeType;
+
+    private _valueType: PRIMITIVE_TYPE | CompositeType;
+
+    private _buffers: Map<ClientSocket, Array<[any, any]>>;
+
+    private _inFlight: Map<ClientSocket, NodeBatches>;
+
+    private _flushTimer: NodeJS.Timer;
+
+    private _error: Error;
+
+    private _closed: boolean;
+
+    /**
+     * Adds an entry to the streamer.
+     *
+     * The returned Promise is resolved when the entry is buffered; if the buffer of the target node
+     * is full and the limit of the parallel operations to the node is reached, it waits
+     * until one of the batches is completed. Await the method to limit the memory consumption.
+     *
+     * @async
+     *
+     * @param {*} key - key to be put into the cache, can be of any supported type.
+     * @param {*} value - value to be associated with the key, can be of any supported type.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {IgniteClientError} if the streamer is closed, a previous batch has failed or other error.
+     */
+    async add(key: any, value: any) {
+        ArgumentChecker.notNull(key, 'key');
+        ArgumentChecker.notNull(value, 'value');
+        await this._add(key, value);
+    }
+
+    /**
+     * Removes an entry from the cache.
+     * The removal is ignored by the server if the streamer does not allow overwrite.
+     *
+     * @async
+     *
+     * @param {*} key - key of the entry to be removed, can be of any supported type.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {IgniteClientError} if the streamer is closed, a previous batch has failed or other error.
+     */
+    async remove(key: any) {
+        ArgumentChecker.notNull(key, 'key');
+        await this._add(key, null);
+    }
+
+    /**
+     * Sends all the buffered entries and waits until all the batches are completed.
+     *
+     * @async
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {IgniteClientError} if the streamer is closed, a batch has failed or other error.
+     */
+    async flush() {
+        this._checkUsable();
+        await this._flush();
+    }
+
+    /**
+     * Closes the streamer.
+     * Does nothing if the streamer is already closed.
+     *
+     * @async
+     *
+     * @param {boolean} [cancel=false] - if true, the buffered entries are discarded,
+     *   otherwise they are sent and the method waits until all the batches are completed.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {IgniteClientError} if a batch has failed or other error.
+     */
+    async close(cancel: boolean = false) {
+        if (this._closed) {
+            return;
+        }
+        this._stopFlushTimer();
+        try {
+            if (!cancel) {
+                await this._flush();
+            }
+        }
+        finally {
+            this._closed = true;
+            this._buffers.clear();
+        }
+    }
+
+    /**
+     * Checks if the streamer is closed.
+     *
+     * @return {boolean} - true if the streamer is closed, false otherwise.
+     */
+    isClosed(): boolean {
+        return this._closed;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(router: Router, communicator: BinaryCommunicator, cacheName: string, options: DataStreamerOptions) {
+        this._router = router;
+        this._communicator = communicator;
+        this._cacheId = CacheClient._calculateId(cacheName);
+        this._flags = (options.allowOverwrite ? FLAG_ALLOW_OVERWRITE : 0) |
+            (options.skipStore ? FLAG_SKIP_STORE : 0);
+        this._perNodeBufferSize = DataStreamer._getPositive(options.perNodeBufferSize, 'perNodeBufferSize', 512);
+        this._perNodeParallelOperations = DataStreamer._getPositive(
+            options.perNodeParallelOperations, 'perNodeParallelOperations', 4);
+        this._keyType = options.keyType !== undefined ? options.keyType : null;
+        this._valueType = options.valueType !== undefined ? options.valueType : null;
+        BinaryUtils.checkObjectType(this._keyType, 'keyType');
+        BinaryUtils.checkObjectType(this._valueType, 'valueType');
+        this._buffers = new Map<ClientSocket, Array<[any, any]>>();
+        this._inFlight = new Map<ClientSocket, NodeBatches>();
+        this._flushTimer = null;
+        this._error = null;
+        this._closed = false;
+
+        const flushInterval = options.flushInterval !== undefined ? options.flushInterval : 0;
+        ArgumentChecker.isInteger(flushInterval, 'flushInterval');
+        if (flushInterval > 0) {
+            this._flushTimer = setInterval(() => {
+                // The failure is kept and thrown by the next call of the streamer methods
+                this._flush().catch(() => {});
+            }, flushInterval);
+            this._flushTimer.unref();
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    static _getPositive(value: number, name: string, defaultValue: number): number {
+        if (value === undefined) {
+            return defaultValue;
+        }
+        ArgumentChecker.isInteger(value, name);
+        if (value <= 0) {
+            throw IgniteClientError.illegalArgumentError(Util.format('"%s" argument should be positive', name));
+        }
+        return value;
+    }
+
+    /**
+     * @ignore
+     */
+    async _add(key: any, value: any) {
+        this._checkUsable();
+        const socket = await this._router.getAffinityConnection(new AffinityHint(this._cacheId, key, this._keyType));
+        let buffer = this._buffers.get(socket);
+        if (!buffer) {
+            buffer = [];
+            this._buffers.set(socket, buffer);
+        }
+        buffer.push([key, value]);
+        if (buffer.length >= this._perNodeBufferSize) {
+            await this._sendBuffer(socket);
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    async _flush() {
+        for (const socket of Array.from(this._buffers.keys())) {
+            await this._sendBuffer(socket);
+        }
+        const batches = [];
+        for (const nodeBatches of this._inFlight.values()) {
+            batches.push(...nodeBatches.inFlight);
+        }
+        await Promise.all(batches);
+        this._throwIfFailed();
+    }
+
+    /**
+     * @ignore
+     */
+    async _sendBuffer(socket: ClientSocket) {
+        const entries = this._buffers.get(socket);
+        if (!entries || entries.length === 0) {
+            return;
+        }
+        this._buffers.delete(socket);
+
+        let nodeBatches = this._inFlight.get(socket);
+        if (!nodeBatches) {
+            nodeBatches = { inFlight: new Set<Promise<void>>(), slots: 0, waiters: [] };
+            this._inFlight.set(socket, nodeBatches);
+        }
+        // The batch waiting for a slot is in flight already, so it is awaited by flush() and close().
+        // It is dropped if the streamer is cancelled meanwhile
+        const reserved = this._reserveSlot(nodeBatches);
+        const batch = reserved.
+            then(() => this._closed ? null : this._sendBatch(socket, entries)).
+            catch((err) => {
+                if (!this._error) {
+                    this._error = err;
+                }
+            }).
+            then(() => {
+                nodeBatches.inFlight.delete(batch);
+                this._releaseSlot(nodeBatches);
+            });
+        nodeBatches.inFlight.add(batch);
+        await reserved;
+    }
+
+    /**
+     * The slot is reserved synchronously if the limit of the parallel operations is not reached,
+     * so the concurrent calls can not exceed the limit.
+     * @ignore
+     */
+    _reserveSlot(nodeBatches: NodeBatches): Promise<void> {
+        if (nodeBatches.slots < this._perNodeParallelOperations) {
+            nodeBatches.slots++;
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => nodeBatches.waiters.push(resolve));
+    }
+
+    /**
+     * @ignore
+     */
+    _releaseSlot(nodeBatches: NodeBatches) {
+        const waiter = nodeBatches.waiters.shift();
+        if (waiter) {
+            // The slot is passed to the first waiting caller
+            waiter();
+        }
+        else {
+            nodeBatches.slots--;
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    async _sendBatch(socket: ClientSocket, entries: Array<[any, any]>) {
+        try {
+            await this._sendEntries(socket, entries);
+        }
+        catch (err) {
+            if (!(err instanceof LostConnectionError)) {
+                throw err;
+            }
+            // The primary node has left, the server which receives the batch redistributes the entries
+            await this._sendEntries(null, entries);
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    async _sendEntries(socket: ClientSocket, entries: Array<[any, any]>) {
+        // Every batch is sent as a separate streamer which is flushed and closed by the server right away,
+        // so no server resources are kept between the batches
+        await this._communicator.send(
+            BinaryUtils.OPERATION.DATA_STREAMER_START,
+            async (payload) => {
+                payload.writeInteger(this._cacheId);
+                payload.writeByte(this._flags | FLAG_FLUSH | FLAG_CLOSE);
+                payload.writeInteger(this._perNodeBufferSize);
+                payload.writeInteger(this._perNodeBufferSize);
+                // No stream receiver
+                payload.writeByte(BinaryUtils.TYPE_CODE.NULL);
+                payload.writeInteger(entries.length);
+                for (const [key, value] of entries) {
+                    await this._communicator.writeObject(payload, key, this._keyType);
+                    await this._communicator.writeObject(payload, value, this._valueType);
+                }
+            },
+            null,
+            null,
+            socket);
+    }
+
+    /**
+     * @ignore
+     */
+    _checkUsable() {
+        if (this._closed) {
+            throw new IgniteClientError('Data streamer is closed');
+        }
+        this._throwIfFailed();
+    }
+
+    /**
+     * @ignore
+     */
+    _throwIfFailed() {
+        if (this._error) {
+            this._stopFlushTimer();
+            throw this._error;
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    _stopFlushTimer() {
+        if (this._flushTimer) {
+            clearInterval(this._flushTimer);
+            this._flushTimer = null;
+        }
+    }
+}
@@ -117,6 +117,16 @@ export class IllegalStateError extends IgniteClientError {
     }
 }
 
+/**
+ * The requested operation needs a protocol version or an optional feature the server does not support.
+ * @extends IgniteClientError
+ */
+export class FeatureNotSupportedError extends IgniteClientError {
+    constructor(feature) {
+        super(Util.format('%s is not supported by the server', feature));
+    }
+}
+
 /**
  * The requested operation is not completed due to the connection lost.
  * @extends IgniteClientError
@@ -126,3 +136,82 @@ export class LostConnectionError extends IgniteClientError {
         super(message || 'Request is not completed due to the connection lost');
     }
 }
+
+/**
+ * The server has not responded to the request within the request timeout.
+ * The response, if received later, is discarded.
+ * @extends IgniteClientError
+ */
+export class TimeoutError extends IgniteClientError {
+    constructor(message = null) {
+        super(message || 'Request is not completed within the timeout');
+    }
+}
+
+/**
+ * The requested operation has been aborted by the AbortSignal passed in {@link OperationOptions}.
+ * The response, if received later, is discarded.
+ * @extends IgniteClientError
+ */
+export class AbortError extends IgniteClientError {
+    constructor(message = null) {
+        super(message || 'Operation has been aborted');
+    }
+}
+
+/**
+ * The requested operation can not wait for the client to reconnect:
+ * the offline queue is full or the operation has waited longer than allowed.
+ * @extends IgniteClientError
+ */
+export class OfflineQueueError extends IgniteClientError {
+    constructor(message) {
+        super(message);
+    }
+}
+
+/**
+ * The connection a cursor has been opened on is lost, so the rest of the query results can not be obtained.
+ * The server releases the resources of the cursor by itself.
+ * @extends LostConnectionError
+ */
+export class CursorLostError extends LostConnectionError {
+    constructor(message = null) {
+        super(message || 'Cursor is lost due to the connection lost');
+    }
+}
+
+/**
+ * A batch operation over several keys has been split between the nodes and some of its parts have failed.
+ * The other parts may have been completed successfully.
+ * @extends IgniteClientError
+ */
+export class BatchOperationError extends IgniteClientError {
+    private _failedKeys: any[];
+    private _errors: Error[];
+
+    constructor(failedKeys: any[], errors: Error[]) {
+        super(Util.format('Operation failed for %d keys: %s',
+            failedKeys.length, errors.map((error) => error.message).join('; ')));
+        this._failedKeys = failedKeys;
+        this._errors = errors;
+    }
+
+    /**
+     * Returns the keys the operation has failed for.
+     *
+     * @return {Array<*>} - keys of the failed parts of the operation.
+     */
+    getFailedKeys(): any[] {
+        return this._failedKeys;
+    }
+
+    /**
+     * Returns the errors of the failed parts of the operation.
+     *
+     * @return {Array<Error>} - one error per failed part of the operation.
+     */
+    getErrors(): Error[] {
+        return this._errors;
+    }
+}
@@ -22,11 +22,21 @@ import ArgumentChecker from "./internal/ArgumentChecker";
 import Logger from "./internal/Logger";
 
 import Router from "./internal/Router";
+import ClientSocket from "./internal/ClientSocket";
 import {IgniteClientConfiguration} from "./IgniteClientConfiguration";
 import {CacheConfiguration} from "./CacheConfiguration";
 import { CacheClient } from "./CacheClient";
 import BinaryUtils from "./internal/BinaryUtils";
 import MessageBuffer from "./internal/MessageBuffer";
+import {Transaction, TRANSACTION_CONCURRENCY, TRANSACTION_ISOLATION} from "./Transaction";
+import {FeatureNotSupportedError} from "./Errors";
+import {ServerInfo} from "./ServerInfo";
+import {ClientCluster} from "./ClientCluster";
+import {ClientClusterGroup} from "./ClientClusterGroup";
+import {ClientCompute} from "./ClientCompute";
+import {ClientServices} from "./ClientServices";
+import {DataStreamer, DataStreamerOptions} from "./DataStreamer";
+import {OperationOptions} from "./OperationOptions";
 
 /**
  * State of Ignite client.
@@ -46,6 +56,8 @@ import MessageBuffer from "./internal/MessageBuffer";
  * @property CONNECTED The client is connected to an Ignite node,
  *     all operations with the Ignite server are allowed.
  *     If connection with the Ignite node is lost, the client moves to CONNECTING state.
+ *     If automatic reconnection is enabled, the client stays in CONNECTING state
+ *     until the connection is restored or the reconnection attempts are exhausted.
  *     If disconnect() method is called, the client moves to DISCONNECTED state.
  */
 export enum STATE {
@@ -54,7 +66,30 @@ export enum STATE {
     CONNECTED = 2
 }
 
-export type IgniteClientOnStateChanged = (state: STATE, reason: string) => void;
+/**
+ * Details of the automatic reconnection, see {@link IgniteClientConfiguration#setAutoReconnect}.
+ *
+ * @typedef ReconnectDetails
+ * @property {string} event - 'reconnecting' before an attempt to connect to the endpoint,
+ *   'reconnected' when the connection to the endpoint is established.
+ * @property {number} attempt - number of the reconnection attempt, starting from 1.
+ *   Every attempt goes over all the endpoints.
+ * @property {string} endpoint - endpoint the client connects to.
+ */
+export interface ReconnectDetails {
+    event: 'reconnecting' | 'reconnected';
+    attempt: number;
+    endpoint: string;
+}
+
+/**
+ * Callback which is called when the client has moved to a new state
+ * or tries to restore the lost connection to the cluster.
+ *
+ * @typedef IgniteClientOnStateChanged
+ * @type {function(IgniteClient.STATE, string, ReconnectDetails)}
+ */
+export type IgniteClientOnStateChanged = (state: STATE, reason: string, details?: ReconnectDetails) => void;
 
 /**
  * Class representing Ignite client.
@@ -70,7 +105,8 @@ export class IgniteClient {
      * Public constructor.
      *
      * @param {IgniteClientOnStateChanged} [onStateChanged] -
-     * callback called everytime when the client has moved to a new state {@link STATE}.
+     * callback called everytime when the client has moved to a new state {@link STATE}
+     * and on every automatic reconnection attempt, with {@link ReconnectDetails}.
      *
      * @return {IgniteClient} - new IgniteClient instance.
      */
@@ -106,6 +142,7 @@ export class IgniteClient {
      * Disconnects the client.
      *
      * Moves the client to DISCONNECTED state from any other state.
+     * Stops the automatic reconnection if it is in progress.
      * Does nothing if the client already disconnected.
      */
     disconnect() {
@@ -119,6 +156,7 @@ export class IgniteClient {
      *
      * @param {string} name - cache name.
      * @param {CacheConfiguration} [cacheConfig] - cache configuration.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<CacheClient>} - new cache client instance for the created cache.
      *
@@ -126,17 +164,22 @@ export class IgniteClient {
      * @throws {OperationError} if cache with the provided name already exists.
      * @throws {IgniteClientError} if other error.
      */
-    async createCache(name, cacheConfig = null) {
+    async createCache(name, cacheConfig = null, options: OperationOptions = {}) {
         ArgumentChecker.notEmpty(name, 'name');
         ArgumentChecker.hasType(cacheConfig, 'cacheConfig', false, CacheConfiguration);
 
+        const socket = this._router.getConnection();
         await this._communicator.send(
             cacheConfig ?
                 BinaryUtils.OPERATION.CACHE_CREATE_WITH_CONFIGURATION :
                 BinaryUtils.OPERATION.CACHE_CREATE_WITH_NAME,
             async (payload) => {
-                await this._writeCacheNameOrConfig(payload, name, cacheConfig);
-            });
+                await this._writeCacheNameOrConfig(payload, name, cacheConfig, socket);
+            },
+            null,
+            null,
+            socket,
+            options);
 
         return this._getCache(name, cacheConfig);
     }
@@ -150,22 +193,28 @@ export class IgniteClient {
      * @param {string} name - cache name.
      * @param {CacheConfiguration} [cacheConfig] - cache configuration (ignored if cache
      *   with the provided name already exists).
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<CacheClient>} - new cache client instance for the existing or created cache.
      *
      * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
      * @throws {IgniteClientError} if other error.
      */
-    async getOrCreateCache(name, cacheConfig = null): Promise<CacheClient> {
+    async getOrCreateCache(name, cacheConfig = null, options: OperationOptions = {}): Promise<CacheClient> {
         ArgumentChecker.notEmpty(name, 'name');
         ArgumentChecker.hasType(cacheConfig, 'cacheConfig', false, CacheConfiguration);
+        const socket = this._router.getConnection();
         await this._communicator.send(
             cacheConfig ?
                 BinaryUtils.OPERATION.CACHE_GET_OR_CREATE_WITH_CONFIGURATION :
                 BinaryUtils.OPERATION.CACHE_GET_OR_CREATE_WITH_NAME,
             async (payload) => {
-                await this._writeCacheNameOrConfig(payload, name, cacheConfig);
-            });
+                await this._writeCacheNameOrConfig(payload, name, cacheConfig, socket);
+            },
+            null,
+            null,
+            socket,
+            options);
         return this._getCache(name, cacheConfig);
     }
 
@@ -190,12 +239,13 @@ export class IgniteClient {
      * @async
      *
      * @param {string} name - cache name.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
      * @throws {OperationError} if cache with the provided name does not exist.
      * @throws {IgniteClientError} if other error.
      */
-    async destroyCache(name) {
+    async destroyCache(name, options: OperationOptions = {}) {
         ArgumentChecker.notEmpty(name, 'name');
 
         const cacheId = CacheClient._calculateId(name);
@@ -204,7 +254,11 @@ export class IgniteClient {
             BinaryUtils.OPERATION.CACHE_DESTROY,
             async (payload) => {
                 payload.writeInteger(cacheId);
-            });
+            },
+            null,
+            null,
+            null,
+            options);
     }
 
     /**
@@ -213,6 +267,7 @@ export class IgniteClient {
      * @async
      *
      * @param {string} name - cache name.
+     * @param {OperationOptions} [options={}] - options of the operation.
      *
      * @return {Promise<CacheConfiguration>} - cache configuration
      *
@@ -220,9 +275,11 @@ export class IgniteClient {
      * @throws {OperationError} if cache with the provided name does not exist.
      * @throws {IgniteClientError} if other error.
      */
-    async getCacheConfiguration(name) {
+    async getCacheConfiguration(name, options: OperationOptions = {}) {
         ArgumentChecker.notEmpty(name, 'name');
         let config;
+        // The configuration format depends on the protocol version of the connection
+        const socket = this._router.getConnection();
         await this._communicator.send(
             BinaryUtils.OPERATION.CACHE_GET_CONFIGURATION,
             async (payload) => {
@@ -231,8 +288,11 @@ export class IgniteClient {
             },
             async (payload) => {
                 config = new CacheConfiguration();
-                await config._read(this._communicator, payload);
-            });
+                await config._read(this._communicator, payload, socket.isExpiryPolicySupported());
+            },
+            null,
+            socket,
+            options);
         return config;
     }
 
@@ -241,23 +301,164 @@ export class IgniteClient {
      *
      * @async
      *
+     * @param {OperationOptions} [options={}] - options of the operation.
+     *
      * @return {Promise<Array<string>>} - array with the existing cache names.
      *     The array is empty if no caches exist.
      *
      * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
      * @throws {IgniteClientError} if other error.
      */
-    async cacheNames(): Promise<string[]> {
+    async cacheNames(options: OperationOptions = {}): Promise<string[]> {
         let names;
         await this._communicator.send(
             BinaryUtils.OPERATION.CACHE_GET_NAMES,
             null,
             async (payload) => {
                 names = await this._communicator.readStringArray(payload);
-            });
+            },
+            null,
+            null,
+            options);
         return names;
     }
 
+    /**
+     * Returns the facade of the cluster-wide administration operations
+     * (cluster activation state and write-ahead log control),
+     * which is also the group of all the cluster nodes.
+     *
+     * @return {ClientCluster} - cluster facade.
+     */
+    cluster(): ClientCluster {
+        return new ClientCluster(this._router, this._communicator);
+    }
+
+    /**
+     * Returns the compute grid functionality for the specified group of the cluster nodes.
+     *
+     * @param {ClientClusterGroup} [clusterGroup=null] - group of the nodes to execute the tasks on.
+     *   If not specified, the tasks are executed on all the server nodes.
+     *
+     * @return {ClientCompute} - compute facade.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    compute(clusterGroup: ClientClusterGroup = null): ClientCompute {
+        ArgumentChecker.hasType(clusterGroup, 'clusterGroup', false, ClientClusterGroup);
+        return new ClientCompute(this._router, this._communicator, clusterGroup);
+    }
+
+    /**
+     * Returns the service grid functionality for the specified group of the cluster nodes.
+     *
+     * @param {ClientClusterGroup} [clusterGroup=null] - group of the nodes to invoke the services on.
+     *   If not specified, the services are invoked on any node they are deployed on.
+     *
+     * @return {ClientServices} - services facade.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    services(clusterGroup: ClientClusterGroup = null): ClientServices {
+        ArgumentChecker.hasType(clusterGroup, 'clusterGroup', false, ClientClusterGroup);
+        return new ClientServices(this._router, this._communicator, clusterGroup);
+    }
+
+    /**
+     * Creates a data streamer for loading large amounts of data into the cache with the provided name.
+     * The method does not check if the cache with the provided name exists.
+     *
+     * The streamer should be closed when it is not needed anymore.
+     *
+     * @param {string} cacheName - cache name.
+     * @param {DataStreamerOptions} [options={}] - options of the streamer.
+     *
+     * @return {DataStreamer} - new data streamer instance.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    dataStreamer(cacheName: string, options: DataStreamerOptions = {}): DataStreamer {
+        ArgumentChecker.notEmpty(cacheName, 'cacheName');
+        ArgumentChecker.notNull(options, 'options');
+        return new DataStreamer(this._router, this._communicator, cacheName, options);
+    }
+
+    /**
+     * Returns information about the server node the client communicates with
+     * when no particular node is chosen for a request.
+     *
+     * With partition awareness enabled the client may be connected to several nodes,
+     * which can run different Ignite versions and support different protocol features.
+     *
+     * @return {ServerInfo} - protocol version and optional features negotiated with the server.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     */
+    getServerInfo(): ServerInfo {
+        return this._router.getConnection().getServerInfo();
+    }
+
+    /**
+     * Starts a new transaction.
+     *
+     * The cache operations are performed within the transaction via the cache client
+     * returned by {@link CacheClient#withTransaction}, they are sent to the Ignite node
+     * the transaction has been started on. Several transactions can be active at a time.
+     *
+     * If concurrency or isolation is not specified, the default value
+     * from the server transaction configuration is used.
+     *
+     * @async
+     *
+     * @param {Transaction.CONCURRENCY} [concurrency=null] - transaction concurrency control.
+     * @param {Transaction.ISOLATION} [isolation=null] - transaction isolation level.
+     * @param {number} [timeout=0] - transaction timeout in milliseconds. Zero value means no timeout.
+     * @param {string} [label=null] - transaction label.
+     *
+     * @return {Promise<Transaction>} - the started transaction.
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {FeatureNotSupportedError} if the server does not support transactions.
+     * @throws {IgniteClientError} if error.
+     */
+    async txStart(
+        concurrency: TRANSACTION_CONCURRENCY = null,
+        isolation: TRANSACTION_ISOLATION = null,
+        timeout: number = 0,
+        label: string = null): Promise<Transaction> {
+        if (concurrency !== null) {
+            ArgumentChecker.hasValueFrom(concurrency, 'concurrency', false, TRANSACTION_CONCURRENCY);
+        }
+        if (isolation !== null) {
+            ArgumentChecker.hasValueFrom(isolation, 'isolation', false, TRANSACTION_ISOLATION);
+        }
+        ArgumentChecker.isInteger(timeout, 'timeout');
+
+        const socket = this._router.getConnection();
+        if (!socket.isTransactionsSupported()) {
+            throw new FeatureNotSupportedError('Transactions');
+        }
+
+        let txId;
+        await this._communicator.send(
+            BinaryUtils.OPERATION.TX_START,
+            async (payload) => {
+                payload.writeByte(concurrency === null ? -1 : concurrency);
+                payload.writeByte(isolation === null ? -1 : isolation);
+                payload.writeLong(timeout);
+                BinaryCommunicator.writeString(payload, label);
+            },
+            async (payload) => {
+                txId = payload.readInteger();
+            },
+            null,
+            socket);
+
+        const transaction = new Transaction(this._router, this._communicator, socket, txId);
+        this._router.addTransaction(transaction);
+        return transaction;
+    }
+
     /**
      * Enables/disables the library debug output (including errors logging).
      * Disabled by default.
@@ -280,8 +481,11 @@ export class IgniteClient {
     /**
      * @ignore
      */
-    async _writeCacheNameOrConfig(buffer: MessageBuffer, name: string, cacheConfig: CacheConfiguration) {
+    async _writeCacheNameOrConfig(buffer: MessageBuffer, name: string, cacheConfig: CacheConfiguration, socket: ClientSocket) {
         if (cacheConfig) {
+            if (cacheConfig._hasExpiryPolicy() && !socket.isExpiryPolicySupported()) {
+                throw new FeatureNotSupportedError('Expiry policy');
+            }
             await cacheConfig._write(this._communicator, buffer, name);
         }
         else {
@@ -18,9 +18,67 @@
 'use strict';
 
 import ArgumentChecker from "./internal/ArgumentChecker";
+import {IgniteClientError} from "./Errors";
+import {RetryPolicy, RetryIdempotentPolicy} from "./RetryPolicy";
 import {NetConnectOpts} from "net";
 import {ConnectionOptions} from "tls";
 
+const PORT_MAX = 65535;
+
+/**
+ * Strategy of choosing the connection for the requests which are not routed by Partition Awareness,
+ * e.g. SQL queries, getAll() or cacheNames().
+ * Requests of a cursor, a transaction, a continuous query or a compute task always go to the connection
+ * the cursor, the transaction, the query or the task has been started on.
+ *
+ * @typedef IgniteClientConfiguration.LOAD_BALANCING
+ * @enum
+ * @readonly
+ * @property STICKY 0 The requests go to the same connection while it is alive.
+ * @property ROUND_ROBIN 1 The requests go to the connections in turn.
+ * @property LEAST_IN_FLIGHT 2 The request goes to the connection with the fewest requests waiting for a response.
+ */
+export enum LOAD_BALANCING_STRATEGY {
+    STICKY = 0,
+    ROUND_ROBIN = 1,
+    LEAST_IN_FLIGHT = 2
+}
+
+/**
+ * Options of the automatic reconnection.
+ *
+ * The delay before every next reconnection attempt is twice as long as the previous one, up to maxDelay.
+ * The delay is randomly reduced by up to the jitter fraction of it, so that many clients
+ * do not reconnect to the restarted cluster at the same moment.
+ *
+ * @typedef AutoReconnectOptions
+ * @property {number} [initialDelay=500] - delay in milliseconds before the second reconnection attempt,
+ *   the first attempt is made immediately after the connection is lost.
+ * @property {number} [maxDelay=30000] - maximum delay in milliseconds between reconnection attempts.
+ * @property {number} [jitter=0.2] - fraction of the delay, from 0 to 1, which is randomly subtracted from it.
+ * @property {number} [maxAttempts=0] - maximum number of reconnection attempts, 0 means no limit.
+ *   When the attempts are exhausted, the client moves to DISCONNECTED state.
+ */
+export interface AutoReconnectOptions {
+    initialDelay?: number;
+    maxDelay?: number;
+    jitter?: number;
+    maxAttempts?: number;
+}
+
+/**
+ * Options of the offline queue.
+ *
+ * @typedef OfflineQueueOptions
+ * @property {number} [maxSize=1000] - maximum number of operations waiting for the connection.
+ * @property {number} [maxWaitTime=10000] - maximum time in milliseconds an operation waits for the connection,
+ *   0 means no limit.
+ */
+export interface OfflineQueueOptions {
+    maxSize?: number;
+    maxWaitTime?: number;
+}
+
 /**
  * Class representing Ignite client configuration.
  *
@@ -44,6 +102,18 @@ export class IgniteClientConfiguration {
 
     private _options: NetConnectOpts | ConnectionOptions;
 
+    private _requestTimeout: number;
+
+    private _retryPolicy: RetryPolicy;
+
+    private _autoReconnect: AutoReconnectOptions;
+
+    private _offlineQueue: OfflineQueueOptions;
+
+    private _loadBalancing: LOAD_BALANCING_STRATEGY;
+
+    private _nodeDiscovery: boolean;
+
     /**
      * Creates an instance of Ignite client configuration
      * with the provided mandatory settings and default optional settings.
@@ -53,6 +123,9 @@ export class IgniteClientConfiguration {
      *
      * @param {...string} endpoints - Ignite node endpoint(s).
      *  The client randomly connects/reconnects to one of the specified node.
+     *  An endpoint is a host name or an IP address optionally followed by a port (10800 by default),
+     *  IPv6 addresses with a port should be enclosed in square brackets, e.g. "[::1]:10800".
+     *  A range of ports, e.g. "127.0.0.1:10800..10805", is expanded into an endpoint per port.
      *
      * @return {IgniteClientConfiguration} - new client configuration instance.
      *
@@ -60,12 +133,23 @@ export class IgniteClientConfiguration {
      */
     constructor(...endpoints: string[]) {
         ArgumentChecker.notEmpty(endpoints, 'endpoints');
-        this._endpoints = endpoints;
+        this._endpoints = endpoints.reduce(
+            (result, endpoint) => result.concat(IgniteClientConfiguration._expandEndpoint(endpoint)), []);
         this._userName = null;
         this._password = null;
         this._useTLS = false;
         this._options = null;
-        this._partitionAwareness = false
+        this._partitionAwareness = false;
+        this._requestTimeout = 0;
+        this._retryPolicy = new RetryIdempotentPolicy();
+        this._autoReconnect = null;
+        this._offlineQueue = null;
+        this._loadBalancing = LOAD_BALANCING_STRATEGY.STICKY;
+        this._nodeDiscovery = false;
+    }
+
+    static get LOAD_BALANCING() {
+        return LOAD_BALANCING_STRATEGY;
     }
 
 
@@ -123,6 +207,159 @@ export class IgniteClientConfiguration {
         return this;
     }
 
+    /**
+     * Sets the default time to wait for the server response to a request.
+     *
+     * If the response is not received in time, the operation is rejected with {@link TimeoutError}.
+     * The timeout can be overridden for a single operation by {@link OperationOptions}.
+     * By default, there is no timeout.
+     *
+     * @param {number} requestTimeout - timeout in milliseconds, 0 means no timeout.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setRequestTimeout(requestTimeout: number): IgniteClientConfiguration {
+        ArgumentChecker.isInteger(requestTimeout, 'requestTimeout');
+        if (requestTimeout < 0) {
+            throw IgniteClientError.illegalArgumentError('"requestTimeout" argument should not be negative');
+        }
+        this._requestTimeout = requestTimeout;
+        return this;
+    }
+
+    /**
+     * Sets the policy which decides whether an operation failed due to a lost connection
+     * or a timeout is retried.
+     *
+     * By default, {@link RetryIdempotentPolicy} is used: non-idempotent operations,
+     * e.g. getAndPut(), are never retried.
+     *
+     * @param {RetryPolicy} retryPolicy - retry policy. If null, operations are not retried.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setRetryPolicy(retryPolicy: RetryPolicy): IgniteClientConfiguration {
+        if (retryPolicy !== null && (typeof retryPolicy !== 'object' || typeof retryPolicy.shouldRetry !== 'function')) {
+            throw IgniteClientError.illegalArgumentError('"retryPolicy" argument should be a RetryPolicy');
+        }
+        this._retryPolicy = retryPolicy;
+        return this;
+    }
+
+    /**
+     * Enables or disables the automatic reconnection.
+     *
+     * By default, when all the connections are lost, the client makes one attempt to connect
+     * to every endpoint and moves to DISCONNECTED state if it fails.
+     * With the automatic reconnection enabled, the client keeps trying to connect in the background
+     * until it succeeds, the attempts are exhausted or disconnect() is called.
+     *
+     * @param {AutoReconnectOptions} [options={}] - options of the reconnection. If null, the automatic reconnection is disabled.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setAutoReconnect(options: AutoReconnectOptions = {}): IgniteClientConfiguration {
+        if (options === null) {
+            this._autoReconnect = null;
+            return this;
+        }
+        const autoReconnect: AutoReconnectOptions = Object.assign(
+            { initialDelay: 500, maxDelay: 30000, jitter: 0.2, maxAttempts: 0 }, options);
+        ArgumentChecker.isInteger(autoReconnect.initialDelay, 'initialDelay');
+        ArgumentChecker.isInteger(autoReconnect.maxDelay, 'maxDelay');
+        ArgumentChecker.isInteger(autoReconnect.maxAttempts, 'maxAttempts');
+        if (autoReconnect.initialDelay < 0 || autoReconnect.maxDelay < autoReconnect.initialDelay) {
+            throw IgniteClientError.illegalArgumentError(
+                '"initialDelay" argument should not be negative and should not exceed "maxDelay" argument');
+        }
+        if (typeof autoReconnect.jitter !== 'number' || !(autoReconnect.jitter >= 0 && autoReconnect.jitter <= 1)) {
+            throw IgniteClientError.illegalArgumentError('"jitter" argument should be a number from 0 to 1');
+        }
+        if (autoReconnect.maxAttempts < 0) {
+            throw IgniteClientError.illegalArgumentError('"maxAttempts" argument should not be negative');
+        }
+        this._autoReconnect = autoReconnect;
+        return this;
+    }
+
+    /**
+     * Enables or disables the offline queue.
+     *
+     * By default, the operations made while the client is connecting or reconnecting
+     * are rejected with {@link IllegalStateError}.
+     * With the offline queue enabled, such operations wait for the connection and are sent
+     * in the order they have been made once the client is connected.
+     * An operation is rejected with {@link OfflineQueueError} if the queue is full or
+     * the operation has waited longer than allowed, and with {@link IllegalStateError}
+     * if the client moves to DISCONNECTED state.
+     *
+     * @param {OfflineQueueOptions} [options={}] - options of the queue. If null, the offline queue is disabled.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setOfflineQueue(options: OfflineQueueOptions = {}): IgniteClientConfiguration {
+        if (options === null) {
+            this._offlineQueue = null;
+            return this;
+        }
+        const offlineQueue: OfflineQueueOptions = Object.assign({ maxSize: 1000, maxWaitTime: 10000 }, options);
+        ArgumentChecker.isInteger(offlineQueue.maxSize, 'maxSize');
+        ArgumentChecker.isInteger(offlineQueue.maxWaitTime, 'maxWaitTime');
+        if (offlineQueue.maxSize <= 0) {
+            throw IgniteClientError.illegalArgumentError('"maxSize" argument should be positive');
+        }
+        if (offlineQueue.maxWaitTime < 0) {
+            throw IgniteClientError.illegalArgumentError('"maxWaitTime" argument should not be negative');
+        }
+        this._offlineQueue = offlineQueue;
+        return this;
+    }
+
+    /**
+     * Sets the strategy of choosing the connection for the requests which are not routed by Partition Awareness.
+     *
+     * The strategy matters only if the client has several connections, i.e. the Partition Awareness feature is enabled.
+     * By default, STICKY strategy is used.
+     *
+     * @param {IgniteClientConfiguration.LOAD_BALANCING} strategy - load balancing strategy.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setLoadBalancing(strategy: LOAD_BALANCING_STRATEGY): IgniteClientConfiguration {
+        ArgumentChecker.hasValueFrom(strategy, 'strategy', false, LOAD_BALANCING_STRATEGY);
+        this._loadBalancing = strategy;
+        return this;
+    }
+
+    /**
+     * Enables or disables the discovery of the cluster nodes.
+     *
+     * The discovery matters only if the Partition Awareness feature is enabled.
+     * When the topology of the cluster changes, the client obtains the client connector endpoints
+     * of all the server nodes, connects in background to the nodes which are not specified in the endpoints
+     * of the configuration and closes the connections to the nodes which have left the cluster.
+     * The server should support CLUSTER_GROUP_GET_NODES_ENDPOINTS {@link ServerInfo.FEATURE}.
+     * The discovery is disabled by default.
+     *
+     * @param {boolean} nodeDiscovery - if true, the discovery of the cluster nodes is enabled.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     */
+    setNodeDiscovery(nodeDiscovery: boolean): IgniteClientConfiguration {
+        this._nodeDiscovery = nodeDiscovery;
+        return this;
+    }
+
     get userName(): string {
         return this._userName;
     }
@@ -143,8 +380,62 @@ export class IgniteClientConfiguration {
         return this._useTLS;
     }
 
+    get requestTimeout(): number {
+        return this._requestTimeout;
+    }
+
+    get retryPolicy(): RetryPolicy {
+        return this._retryPolicy;
+    }
+
+    get autoReconnect(): AutoReconnectOptions {
+        return this._autoReconnect;
+    }
+
+    get offlineQueue(): OfflineQueueOptions {
+        return this._offlineQueue;
+    }
+
+    get loadBalancing(): LOAD_BALANCING_STRATEGY {
+        return this._loadBalancing;
+    }
+
+    get nodeDiscovery(): boolean {
+        return this._nodeDiscovery;
+    }
+
     get endpoints(): string[] {
         return this._endpoints;
     }
 
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    static _expandEndpoint(endpoint: string): string[] {
+        if (typeof endpoint !== 'string') {
+            throw IgniteClientError.illegalArgumentError('"endpoints" argument should be strings');
+        }
+        const range = /^(.*):(\d+)\.\.(\d+)$/.exec(endpoint.trim());
+        if (!range) {
+            return [endpoint];
+        }
+        const host = range[1];
+        const fromPort = parseInt(range[2]);
+        const toPort = parseInt(range[3]);
+        if (host.indexOf(':') >= 0 && !(host.startsWith('[') && host.endsWith(']'))) {
+            throw IgniteClientError.illegalArgumentError(
+                'IPv6 address with a port range should be enclosed in square brackets: ' + endpoint);
+        }
+        if (fromPort > toPort || toPort > PORT_MAX) {
+            throw IgniteClientError.illegalArgumentError('Incorrect port range: ' + endpoint);
+        }
+        const endpoints = [];
+        for (let port = fromPort; port <= toPort; port++) {
+            endpoints.push(host + ':' + port);
+        }
+        return endpoints;
+    }
+
 }
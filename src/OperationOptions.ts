@@ -0,0 +1,48 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Signal which aborts an operation, e.g. AbortSignal of an AbortController.
+ *
+ * @typedef AbortSignalLike
+ * @property {boolean} aborted - whether the operation should be aborted.
+ * @property {function(string, function)} addEventListener - adds a listener of the 'abort' event.
+ * @property {function(string, function)} removeEventListener - removes a listener of the 'abort' event.
+ */
+export interface AbortSignalLike {
+    readonly aborted: boolean;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+/**
+ * Options of a single operation.
+ *
+ * @typedef OperationOptions
+ * @property {number} [timeout] - time in milliseconds to wait for the server response,
+ *   0 means no timeout. If not specified, the request timeout of {@link IgniteClientConfiguration} is used.
+ *   An operation which consists of several requests applies the timeout to every request.
+ *   The retries of a failed request are made within the same timeout, see {@link RetryPolicy}.
+ * @property {AbortSignalLike} [signal] - signal which aborts the operation. The aborted operation
+ *   is rejected with {@link AbortError}, the server may still complete it.
+ */
+export interface OperationOptions {
+    timeout?: number;
+    signal?: AbortSignalLike;
+}
@@ -26,6 +26,7 @@ import { CompositeType } from "./ObjectType";
 import { PRIMITIVE_TYPE } from "./internal/Constants";
 import MessageBuffer from "./internal/MessageBuffer";
 import {CacheEntry} from "./CacheClient";
+import {IgniteClientError} from "./Errors";
 
 const PAGE_SIZE_DEFAULT = 1024;
 
@@ -46,6 +47,12 @@ abstract class Query<T> {
 
     protected _operation: OPERATION;
 
+    protected _prefetchPages: number;
+
+    protected _prefetchMaxBytes: number;
+
+    protected _restartOnFailover: boolean;
+
     /**
      * Set local query flag.
      *
@@ -71,6 +78,54 @@ abstract class Query<T> {
         return this;
     }
 
+    /**
+     * Set the number of {@link Cursor} pages requested in advance.
+     *
+     * When enabled, the cursor reads up to the specified number of pages ahead
+     * while the application consumes the current page. The pages are requested one after another,
+     * every request is sent once the previous page is received, so the order of the pages is kept.
+     * The pages received in advance are kept in memory until they are consumed,
+     * their size is reported by the cursor. No page is requested after the last one.
+     *
+     * @param {number} pages - number of pages requested in advance, 0 disables prefetching.
+     * @param {number} [maxPrefetchBytes=0] - no more pages are requested in advance once the size
+     *   of the received and not yet consumed pages reaches this number of bytes, 0 means no limit.
+     *
+     * @return {Query} - the same instance of the Query.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setPrefetchPages(pages: number, maxPrefetchBytes: number = 0): Query<T> {
+        ArgumentChecker.isInteger(pages, 'pages');
+        ArgumentChecker.isInteger(maxPrefetchBytes, 'maxPrefetchBytes');
+        if (pages < 0 || maxPrefetchBytes < 0) {
+            throw IgniteClientError.illegalArgumentError('Prefetch settings should not be negative');
+        }
+        this._prefetchPages = pages;
+        this._prefetchMaxBytes = maxPrefetchBytes;
+        return this;
+    }
+
+    /**
+     * Set the flag to restart the query transparently if the connection the {@link Cursor} has been opened on is lost.
+     *
+     * The query is executed again via another connection and the rows already returned by the cursor are skipped,
+     * so the query should return the same rows in the same order every time it is executed.
+     * A Scan query over the entire cache is executed partition by partition and resumed
+     * from the partition which has been scanned when the connection was lost.
+     *
+     * Local queries, SQL queries without ORDER BY clause and SQL statements other than SELECT
+     * can not be restarted safely, the query operation fails if the flag is set for such a query.
+     *
+     * @param {boolean} restartOnFailover - restart on failover flag: true or false.
+     *
+     * @return {Query} - the same instance of the Query.
+     */
+    setRestartOnFailover(restartOnFailover: boolean): Query<T> {
+        this._restartOnFailover = restartOnFailover;
+        return this;
+    }
+
     /** Private methods */
 
     /**
@@ -80,9 +135,23 @@ abstract class Query<T> {
         this._operation = operation;
         this._local = false;
         this._pageSize = PAGE_SIZE_DEFAULT;
+        this._prefetchPages = 0;
+        this._prefetchMaxBytes = 0;
+        this._restartOnFailover = false;
     }
 
-    abstract _getCursor(communicator, payload, keyType, valueType): Promise<BaseCursor<T>>;
+    /**
+     * @ignore
+     */
+    _getRestartError(): string {
+        // Local query returns the data of the node it has been executed on
+        if (this._local) {
+            return 'local query can not be executed on another node';
+        }
+        return null;
+    }
+
+    abstract _getCursor(communicator, payload, keyType, valueType, keepBinary?: boolean): Promise<BaseCursor<T>>;
 }
 
 /**
@@ -275,6 +344,20 @@ export class SqlQuery extends Query<CacheEntry> {
         }
     }
 
+    /**
+     * @ignore
+     */
+    _getRestartError(): string {
+        const error = super._getRestartError();
+        if (error) {
+            return error;
+        }
+        if (!/\border\s+by\b/i.test(this._sql)) {
+            return 'the order of rows is not deterministic without ORDER BY clause';
+        }
+        return null;
+    }
+
     /**
      * @ignore
      */
@@ -470,13 +553,25 @@ export class SqlFieldsQuery extends SqlQuery {
         buffer.writeBoolean(this._includeFieldNames);
     }
 
+    /**
+     * @ignore
+     */
+    _getRestartError(): string {
+        // Repeated execution of DML statement may change the data once more
+        if (this._statementType === STATEMENT_TYPE.UPDATE ||
+            this._statementType === STATEMENT_TYPE.ANY && !/^\s*(select|with)\b/i.test(this._sql)) {
+            return 'only SELECT statement can be executed again';
+        }
+        return super._getRestartError();
+    }
+
     // noinspection JSAnnotator
     /**
      * @ignore
      */
     // @ts-ignore
-    async _getCursor(communicator, payload, keyType = null, valueType = null): Promise<BaseCursor<Array<object>>> {
-        const cursor = new SqlFieldsCursor(communicator, payload);
+    async _getCursor(communicator, payload, keyType = null, valueType = null, keepBinary = false): Promise<BaseCursor<Array<object>>> {
+        const cursor = new SqlFieldsCursor(communicator, payload, keepBinary);
         await cursor._readFieldNames(payload, this._includeFieldNames);
         return cursor;
     }
@@ -529,6 +624,27 @@ export class ScanQuery extends Query<CacheEntry> {
 
     /** Private methods */
 
+    /**
+     * @ignore
+     */
+    _withPartitionNumber(partitionNumber: number): ScanQuery {
+        const query = new ScanQuery();
+        query._local = this._local;
+        query._pageSize = this._pageSize;
+        query._prefetchPages = this._prefetchPages;
+        query._prefetchMaxBytes = this._prefetchMaxBytes;
+        query._restartOnFailover = this._restartOnFailover;
+        query._partitionNumber = partitionNumber;
+        return query;
+    }
+
+    /**
+     * @ignore
+     */
+    _isEntireCache(): boolean {
+        return this._partitionNumber < 0;
+    }
+
     /**
      * @ignore
      */
@@ -0,0 +1,132 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { IgniteClientError } from "./Errors";
+import { CacheClient, CacheEntry } from "./CacheClient";
+import { ScanQuery } from "./Query";
+
+/**
+ * Progress of a {@link ResumableScan}.
+ * The object contains plain data only, so it can be serialized to JSON and stored.
+ *
+ * @typedef ScanCheckpoint
+ * @property {string} cacheName - name of the scanned cache.
+ * @property {Array<number>} partitions - all the partitions to be scanned,
+ *   null if the scan has not been started yet. Partition -1 means the whole cache,
+ *   it is used if the partitions of the cache are not known.
+ * @property {Array<number>} finishedPartitions - partitions whose entries have been completely delivered.
+ */
+export interface ScanCheckpoint {
+    cacheName: string;
+    partitions: number[];
+    finishedPartitions: number[];
+}
+
+/**
+ * Class representing a scan over all the partitions of a cache which can be resumed after a failure.
+ *
+ * The entries are obtained by iterating the scan in a for await...of loop.
+ * If the iteration fails or is stopped, iterating the scan again continues
+ * with the partitions which have not been finished.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via resumableScan() method of {@link CacheClient} objects.
+ *
+ * @hideconstructor
+ */
+export class ResumableScan implements AsyncIterable<CacheEntry> {
+
+    private _cache: CacheClient;
+
+    private _cacheName: string;
+
+    private _query: ScanQuery;
+
+    private _concurrency: number;
+
+    private _partitions: number[];
+
+    private _finishedPartitions: Set<number>;
+
+    private _inProgress: boolean;
+
+    /**
+     * Returns an async iterator over the entries of the partitions which have not been finished yet.
+     *
+     * @return {AsyncIterator<CacheEntry>} - iterator over the cache entries.
+     *
+     * @throws {IgniteClientError} if the scan is already being iterated.
+     */
+    async *[Symbol.asyncIterator](): AsyncGenerator<CacheEntry> {
+        if (this._inProgress) {
+            throw new IgniteClientError('The scan is already in progress');
+        }
+        this._inProgress = true;
+        try {
+            if (!this._partitions) {
+                this._partitions = await this._cache._getScanPartitions();
+            }
+            const partitions = this._partitions.filter((partition) => !this._finishedPartitions.has(partition));
+            yield* this._cache._scanPartitions(this._query, this._concurrency, partitions,
+                (partition) => this._finishedPartitions.add(partition));
+        }
+        finally {
+            this._inProgress = false;
+        }
+    }
+
+    /**
+     * Returns the current progress of the scan.
+     *
+     * @return {ScanCheckpoint} - checkpoint which can be passed to resumableScan() method
+     *   of {@link CacheClient} to continue the scan.
+     */
+    getCheckpoint(): ScanCheckpoint {
+        return {
+            cacheName: this._cacheName,
+            partitions: this._partitions ? this._partitions.slice() : null,
+            finishedPartitions: Array.from(this._finishedPartitions).sort((a, b) => a - b)
+        };
+    }
+
+    /**
+     * Checks if all the partitions have been scanned.
+     *
+     * @return {boolean} - true if the entries of all the partitions have been delivered, false otherwise.
+     */
+    isFinished(): boolean {
+        return this._partitions !== null &&
+            this._partitions.every((partition) => this._finishedPartitions.has(partition));
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(cache: CacheClient, cacheName: string, query: ScanQuery, concurrency: number, checkpoint: ScanCheckpoint) {
+        this._cache = cache;
+        this._cacheName = cacheName;
+        this._query = query;
+        this._concurrency = concurrency;
+        this._partitions = checkpoint && checkpoint.partitions ? checkpoint.partitions.slice() : null;
+        this._finishedPartitions = new Set<number>(checkpoint ? checkpoint.finishedPartitions : []);
+        this._inProgress = false;
+    }
+}
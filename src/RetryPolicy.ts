@@ -0,0 +1,286 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { OPERATION } from "./internal/BinaryUtils";
+import ArgumentChecker from "./internal/ArgumentChecker";
+import { IgniteClientError } from "./Errors";
+
+const READ_OPERATIONS = new Set<number>([
+    OPERATION.CACHE_GET,
+    OPERATION.CACHE_GET_ALL,
+    OPERATION.CACHE_CONTAINS_KEY,
+    OPERATION.CACHE_CONTAINS_KEYS,
+    OPERATION.CACHE_GET_SIZE,
+    OPERATION.CACHE_LOCAL_PEEK,
+    OPERATION.CACHE_GET_NAMES,
+    OPERATION.CACHE_GET_CONFIGURATION,
+    OPERATION.CACHE_PARTITIONS,
+    OPERATION.QUERY_SCAN,
+    OPERATION.QUERY_SQL,
+    OPERATION.GET_BINARY_TYPE,
+    OPERATION.CLUSTER_GET_STATE,
+    OPERATION.CLUSTER_GET_WAL_STATE,
+    OPERATION.CLUSTER_GROUP_GET_NODE_IDS,
+    OPERATION.CLUSTER_GROUP_GET_NODE_INFO,
+    OPERATION.SERVICE_GET_DESCRIPTORS,
+    OPERATION.SERVICE_GET_DESCRIPTOR
+]);
+
+// Operations which leave the cache in the same state and return the same result when repeated
+const IDEMPOTENT_WRITE_OPERATIONS = new Set<number>([
+    OPERATION.CACHE_PUT,
+    OPERATION.CACHE_PUT_ALL,
+    OPERATION.CACHE_CLEAR,
+    OPERATION.CACHE_CLEAR_KEY,
+    OPERATION.CACHE_CLEAR_KEYS,
+    OPERATION.CACHE_REMOVE_KEYS,
+    OPERATION.CACHE_REMOVE_ALL
+]);
+
+/**
+ * Information about a failed attempt of an operation, passed to {@link RetryPolicy}.
+ *
+ * @typedef RetryPolicyContext
+ * @property {RetryPolicy.OPERATION} operation - code of the failed operation.
+ * @property {number} attempt - number of the failed attempt, starting from 1.
+ * @property {Error} error - error of the failed attempt: {@link LostConnectionError} or {@link TimeoutError}.
+ */
+export interface RetryPolicyContext {
+    operation: OPERATION;
+    attempt: number;
+    error: Error;
+}
+
+/**
+ * Base class of the policies which decide whether an operation failed due to a transient error is retried.
+ *
+ * The policy is consulted when an operation fails with {@link LostConnectionError} or {@link TimeoutError}.
+ * The retried operation is sent to any alive connection, so the operations bound to a connection
+ * (requests of cursors, operations within a transaction) are never retried.
+ * The retries, including the retry delays, are made within the timeout of the operation:
+ * the operation is not retried once its timeout expires, so a timed out operation is never retried.
+ *
+ * A custom policy should extend this class or be an object with the same methods.
+ */
+export abstract class RetryPolicy {
+
+    /**
+     * Codes of the operations of the Ignite binary client protocol.
+     * @typedef RetryPolicy.OPERATION
+     * @enum
+     * @readonly
+     */
+    static get OPERATION() {
+        return OPERATION;
+    }
+
+    /**
+     * Checks if the operation only reads data and can be repeated safely.
+     *
+     * @param {RetryPolicy.OPERATION} operation - code of the operation.
+     *
+     * @return {boolean} - true if the operation is a read operation, false otherwise.
+     */
+    static isReadOperation(operation: OPERATION): boolean {
+        return READ_OPERATIONS.has(operation);
+    }
+
+    /**
+     * Checks if the repeated operation has the same effect and result as the single one,
+     * e.g. get() and put() but not getAndPut() or removeKey().
+     *
+     * @param {RetryPolicy.OPERATION} operation - code of the operation.
+     *
+     * @return {boolean} - true if the operation is idempotent, false otherwise.
+     */
+    static isIdempotentOperation(operation: OPERATION): boolean {
+        return READ_OPERATIONS.has(operation) || IDEMPOTENT_WRITE_OPERATIONS.has(operation);
+    }
+
+    /**
+     * Decides whether the failed operation is retried.
+     *
+     * @param {RetryPolicyContext} context - information about the failed attempt.
+     *
+     * @return {boolean} - true if the operation should be retried, false otherwise.
+     */
+    abstract shouldRetry(context: RetryPolicyContext): boolean;
+
+    /**
+     * Returns the time to wait before the operation is retried.
+     *
+     * @param {RetryPolicyContext} context - information about the failed attempt.
+     *
+     * @return {number} - delay in milliseconds, 0 by default.
+     */
+    getRetryDelay(context: RetryPolicyContext): number {
+        return 0;
+    }
+}
+
+/**
+ * Retry policy which never retries operations.
+ */
+export class RetryNonePolicy extends RetryPolicy {
+
+    /**
+     * Returns false.
+     *
+     * @param {RetryPolicyContext} context - information about the failed attempt.
+     *
+     * @return {boolean} - false.
+     */
+    shouldRetry(context: RetryPolicyContext): boolean {
+        return false;
+    }
+}
+
+/**
+ * Retry policy which immediately retries idempotent operations, see {@link RetryPolicy.isIdempotentOperation}.
+ * This is the default policy of {@link IgniteClientConfiguration}.
+ */
+export class RetryIdempotentPolicy extends RetryPolicy {
+
+    private _retryLimit: number;
+
+    /**
+     * Creates an instance of the policy.
+     *
+     * @param {number} [retryLimit=3] - maximum number of retries of one operation.
+     *
+     * @return {RetryIdempotentPolicy} - new policy instance.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    constructor(retryLimit: number = 3) {
+        super();
+        ArgumentChecker.isInteger(retryLimit, 'retryLimit');
+        if (retryLimit < 0) {
+            throw IgniteClientError.illegalArgumentError('"retryLimit" argument should not be negative');
+        }
+        this._retryLimit = retryLimit;
+    }
+
+    /**
+     * Returns true if the operation is idempotent and the retry limit is not reached.
+     *
+     * @param {RetryPolicyContext} context - information about the failed attempt.
+     *
+     * @return {boolean} - true if the operation should be retried, false otherwise.
+     */
+    shouldRetry(context: RetryPolicyContext): boolean {
+        return context.attempt <= this._retryLimit && this._isRetriable(context.operation);
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    _isRetriable(operation: OPERATION): boolean {
+        return RetryPolicy.isIdempotentOperation(operation);
+    }
+}
+
+/**
+ * Retry policy which immediately retries read operations only, see {@link RetryPolicy.isReadOperation}.
+ */
+export class RetryReadPolicy extends RetryIdempotentPolicy {
+
+    /**
+     * Creates an instance of the policy.
+     *
+     * @param {number} [retryLimit=3] - maximum number of retries of one operation.
+     *
+     * @return {RetryReadPolicy} - new policy instance.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    constructor(retryLimit: number = 3) {
+        super(retryLimit);
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    _isRetriable(operation: OPERATION): boolean {
+        return RetryPolicy.isReadOperation(operation);
+    }
+}
+
+/**
+ * Retry policy which retries idempotent or read operations with exponentially growing delays:
+ * initialDelay before the first retry, twice as long before the second one and so on, up to maxDelay.
+ */
+export class ExponentialBackoffRetryPolicy extends RetryIdempotentPolicy {
+
+    private _initialDelay: number;
+
+    private _maxDelay: number;
+
+    private _readOnly: boolean;
+
+    /**
+     * Creates an instance of the policy.
+     *
+     * @param {number} [retryLimit=5] - maximum number of retries of one operation.
+     * @param {number} [initialDelay=100] - delay in milliseconds before the first retry.
+     * @param {number} [maxDelay=5000] - maximum delay in milliseconds between retries.
+     * @param {boolean} [readOnly=false] - if true, only read operations are retried,
+     *   otherwise all idempotent operations are retried.
+     *
+     * @return {ExponentialBackoffRetryPolicy} - new policy instance.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    constructor(retryLimit: number = 5, initialDelay: number = 100, maxDelay: number = 5000, readOnly: boolean = false) {
+        super(retryLimit);
+        ArgumentChecker.isInteger(initialDelay, 'initialDelay');
+        ArgumentChecker.isInteger(maxDelay, 'maxDelay');
+        if (initialDelay < 0 || maxDelay < initialDelay) {
+            throw IgniteClientError.illegalArgumentError(
+                '"initialDelay" argument should not be negative and should not exceed "maxDelay" argument');
+        }
+        this._initialDelay = initialDelay;
+        this._maxDelay = maxDelay;
+        this._readOnly = readOnly;
+    }
+
+    /**
+     * Returns the delay before the retry.
+     *
+     * @param {RetryPolicyContext} context - information about the failed attempt.
+     *
+     * @return {number} - delay in milliseconds.
+     */
+    getRetryDelay(context: RetryPolicyContext): number {
+        return Math.min(this._initialDelay * Math.pow(2, context.attempt - 1), this._maxDelay);
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    _isRetriable(operation: OPERATION): boolean {
+        return this._readOnly ? RetryPolicy.isReadOperation(operation) : RetryPolicy.isIdempotentOperation(operation);
+    }
+}
@@ -0,0 +1,123 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Optional protocol features which can be supported by the server and the client.
+ * @typedef ServerInfo.FEATURE
+ * @enum
+ * @readonly
+ * @property USER_ATTRIBUTES 0
+ * @property EXECUTE_TASK_BY_NAME 1
+ * @property CLUSTER_STATES 2
+ * @property CLUSTER_GROUP_GET_NODES_ENDPOINTS 3
+ * @property CLUSTER_GROUPS 4
+ * @property SERVICE_INVOKE 5
+ * @property DEFAULT_QRY_TIMEOUT 6
+ * @property QRY_PARTITIONS_BATCH_SIZE 7
+ * @property BINARY_CONFIGURATION 8
+ * @property GET_SERVICE_DESCRIPTORS 9
+ * @property SERVICE_INVOKE_CALLCTX 10
+ * @property HEARTBEAT 11
+ */
+export enum PROTOCOL_FEATURE {
+    USER_ATTRIBUTES = 0,
+    EXECUTE_TASK_BY_NAME = 1,
+    CLUSTER_STATES = 2,
+    CLUSTER_GROUP_GET_NODES_ENDPOINTS = 3,
+    CLUSTER_GROUPS = 4,
+    SERVICE_INVOKE = 5,
+    DEFAULT_QRY_TIMEOUT = 6,
+    QRY_PARTITIONS_BATCH_SIZE = 7,
+    BINARY_CONFIGURATION = 8,
+    GET_SERVICE_DESCRIPTORS = 9,
+    SERVICE_INVOKE_CALLCTX = 10,
+    HEARTBEAT = 11
+}
+
+/**
+ * Class representing information about the server node the client is connected to,
+ * as negotiated during the connection handshake.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via getServerInfo() method of {@link IgniteClient} objects.
+ *
+ * @hideconstructor
+ */
+export class ServerInfo {
+
+    private _protocolVersion: string;
+
+    private _features: PROTOCOL_FEATURE[];
+
+    private _nodeId: number[];
+
+    static get FEATURE() {
+        return PROTOCOL_FEATURE;
+    }
+
+    /**
+     * Version of the protocol the client and the server communicate with, e.g. "1.7.0".
+     *
+     * @type {string}
+     */
+    get protocolVersion(): string {
+        return this._protocolVersion;
+    }
+
+    /**
+     * Optional protocol features supported by both the client and the server.
+     * Always empty if the protocol version is lower than 1.7.0.
+     *
+     * @type {Array<ServerInfo.FEATURE>}
+     */
+    get features(): PROTOCOL_FEATURE[] {
+        return this._features.slice();
+    }
+
+    /**
+     * Id (UUID) of the server node, null if the protocol version is lower than 1.4.0.
+     *
+     * @type {Array<number>}
+     */
+    get nodeId(): number[] {
+        return this._nodeId;
+    }
+
+    /**
+     * Checks if the specified protocol feature is supported by both the client and the server.
+     *
+     * @param {ServerInfo.FEATURE} feature - protocol feature.
+     *
+     * @return {boolean} - true if the feature is supported, false otherwise.
+     */
+    isFeatureSupported(feature: PROTOCOL_FEATURE): boolean {
+        return this._features.includes(feature);
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(protocolVersion: string, features: PROTOCOL_FEATURE[], nodeId: number[]) {
+        this._protocolVersion = protocolVersion;
+        this._features = features;
+        this._nodeId = nodeId;
+    }
+}
@@ -0,0 +1,205 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ClientSocket from "./internal/ClientSocket";
+import Router from "./internal/Router";
+import { IgniteClientError } from "./Errors";
+
+/**
+ * Transaction concurrency control.
+ * @typedef Transaction.CONCURRENCY
+ * @enum
+ * @readonly
+ * @property OPTIMISTIC 0
+ * @property PESSIMISTIC 1
+ */
+export enum TRANSACTION_CONCURRENCY {
+    OPTIMISTIC = 0,
+    PESSIMISTIC = 1
+}
+
+/**
+ * Transaction isolation level.
+ * @typedef Transaction.ISOLATION
+ * @enum
+ * @readonly
+ * @property READ_COMMITTED 0
+ * @property REPEATABLE_READ 1
+ * @property SERIALIZABLE 2
+ */
+export enum TRANSACTION_ISOLATION {
+    READ_COMMITTED = 0,
+    REPEATABLE_READ = 1,
+    SERIALIZABLE = 2
+}
+
+/**
+ * Class representing an Ignite transaction.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via txStart() method of {@link IgniteClient} objects.
+ *
+ * The cache operations are performed within the transaction via the cache client
+ * returned by {@link CacheClient#withTransaction}, other operations of the client are not affected.
+ * Several transactions can be active at a time.
+ * The transaction is completed by commit(), rollback() or close() method call.
+ *
+ * @hideconstructor
+ */
+export class Transaction {
+
+    private _router: Router;
+
+    private _communicator: BinaryCommunicator;
+
+    private _socket: ClientSocket;
+
+    private _id: number;
+
+    private _closed: boolean;
+
+    static get CONCURRENCY() {
+        return TRANSACTION_CONCURRENCY;
+    }
+
+    static get ISOLATION() {
+        return TRANSACTION_ISOLATION;
+    }
+
+    /**
+     * Commits the transaction.
+     *
+     * @async
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {LostConnectionError} if the connection the transaction was started on is lost.
+     * @throws {IgniteClientError} if the transaction is already closed or other error.
+     */
+    async commit() {
+        await this._end(true);
+    }
+
+    /**
+     * Rolls back the transaction.
+     *
+     * @async
+     *
+     * @throws {IllegalStateError} if the client is not in CONNECTED {@link IgniteClient.STATE}.
+     * @throws {LostConnectionError} if the connection the transaction was started on is lost.
+     * @throws {IgniteClientError} if the transaction is already closed or other error.
+     */
+    async rollback() {
+        await this._end(false);
+    }
+
+    /**
+     * Closes the transaction.
+     *
+     * Rolls the transaction back if it has been neither committed nor rolled back.
+     * Does nothing if the transaction is already closed.
+     *
+     * @async
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    async close() {
+        if (!this._closed) {
+            await this._end(false);
+        }
+    }
+
+    /**
+     * Checks if the transaction is closed.
+     *
+     * @return {boolean} - true if the transaction has been committed, rolled back or
+     *   its connection has been closed, false otherwise.
+     */
+    isClosed(): boolean {
+        return this._closed;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(router: Router, communicator: BinaryCommunicator, socket: ClientSocket, id: number) {
+        this._router = router;
+        this._communicator = communicator;
+        this._socket = socket;
+        this._id = id;
+        this._closed = false;
+    }
+
+    /**
+     * @ignore
+     */
+    _getId(): number {
+        return this._id;
+    }
+
+    /**
+     * @ignore
+     */
+    _getSocket(): ClientSocket {
+        return this._socket;
+    }
+
+    /**
+     * @ignore
+     */
+    _getCommunicator(): BinaryCommunicator {
+        return this._communicator;
+    }
+
+    /**
+     * @ignore
+     */
+    _onClose() {
+        this._closed = true;
+        this._router.removeTransaction(this);
+    }
+
+    /**
+     * @ignore
+     */
+    async _end(committed: boolean) {
+        if (this._closed) {
+            throw new IgniteClientError('Transaction is already closed');
+        }
+        try {
+            await this._communicator.send(
+                BinaryUtils.OPERATION.TX_END,
+                async (payload) => {
+                    payload.writeInteger(this._id);
+                    payload.writeBoolean(committed);
+                },
+                null,
+                null,
+                this._socket);
+        }
+        finally {
+            // Whatever the outcome is, the transaction can not be used anymore:
+            // the server rolls it back on failure or when the connection is lost
+            this._onClose();
+        }
+    }
+}
@@ -27,11 +27,22 @@ const l = require('long');
 export const Decimal = d;
 export const Long = l;
 export * from './IgniteClientConfiguration';
+export * from './OperationOptions';
+export * from './RetryPolicy';
 export * from './CacheClient';
 export * from './CacheClient';
 export * from './CacheConfiguration';
 export * from './Query';
 export * from './Cursor';
+export * from './ResumableScan';
+export * from './Transaction';
+export * from './ContinuousQuery';
+export * from './ServerInfo';
+export * from './ClientClusterGroup';
+export * from './ClientCluster';
+export * from './ClientCompute';
+export * from './ClientServices';
+export * from './DataStreamer';
 export * as Errors from  "./Errors";
 
 export {IgniteClient} from './IgniteClient';
\ No newline at end of file
@@ -78,4 +78,20 @@ export default class ArgumentChecker {
                 Util.format('"%s" argument is invalid for %s', argName, type.constructor.name));
         }
     }
+
+    static checkOperationOptions(options, argName = 'options') {
+        ArgumentChecker.notNull(options, argName);
+        if (options.timeout !== undefined) {
+            ArgumentChecker.isInteger(options.timeout, 'timeout');
+            if (options.timeout < 0) {
+                throw IgniteClientError.illegalArgumentError('"timeout" argument should not be negative');
+            }
+        }
+        const signal = options.signal;
+        if (signal !== undefined && signal !== null &&
+            (typeof signal.aborted !== 'boolean' || typeof signal.addEventListener !== 'function' ||
+                typeof signal.removeEventListener !== 'function')) {
+            throw IgniteClientError.illegalArgumentError('"signal" argument should be an AbortSignal');
+        }
+    }
 }
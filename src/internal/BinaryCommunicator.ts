@@ -17,7 +17,7 @@
 
 'use strict';
 
-import {CollectionObjectType, ComplexObjectType} from "../ObjectType";
+import {CollectionObjectType, ComplexObjectType, CompositeType} from "../ObjectType";
 import {Timestamp} from "../Timestamp";
 import {EnumItem} from "../EnumItem";
 import BinaryUtils from "./BinaryUtils";
@@ -26,8 +26,11 @@ import { IgniteClientError } from "../Errors";
 import {BinaryObject} from "../BinaryObject";
 import BinaryType from "./BinaryType";
 import Router from './Router';
+import {PRIMITIVE_TYPE} from "./Constants";
 import MessageBuffer from "./MessageBuffer";
 import { AffinityHint } from "../CacheClient";
+import ClientSocket from "./ClientSocket";
+import {OperationOptions} from "../OperationOptions";
 const Decimal = require('decimal.js').default;
 
 export default class BinaryCommunicator {
@@ -60,8 +63,29 @@ export default class BinaryCommunicator {
         }
     }
 
-    async send(opCode, payloadWriter, payloadReader = null, affinityHint: AffinityHint = null) {
-        await this._router.send(opCode, payloadWriter, payloadReader, affinityHint);
+    async send(opCode, payloadWriter, payloadReader = null, affinityHint: AffinityHint = null, socket: ClientSocket = null,
+               options: OperationOptions = null): Promise<ClientSocket> {
+        return await this._router.send(opCode, payloadWriter, payloadReader, affinityHint, socket, options);
+    }
+
+    getConnection(): ClientSocket {
+        return this._router.getConnection();
+    }
+
+    async getPartitionMapping(cacheId: number): Promise<Map<number, number[]>> {
+        return await this._router.getPartitionMapping(cacheId);
+    }
+
+    async splitByNode(cacheId: number, keys: object[], keyType: PRIMITIVE_TYPE | CompositeType): Promise<number[][]> {
+        return await this._router.splitByNode(cacheId, keys, keyType);
+    }
+
+    async getKeyHashCode(key: object, keyType: PRIMITIVE_TYPE | CompositeType): Promise<number> {
+        return await this._router.getKeyHashCode(key, keyType);
+    }
+
+    getConnections(): ClientSocket[] {
+        return this._router.getConnections();
     }
 
     get typeStorage() {
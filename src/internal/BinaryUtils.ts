@@ -75,10 +75,32 @@ export enum OPERATION {
     QUERY_SQL_CURSOR_GET_PAGE = 2003,
     QUERY_SQL_FIELDS = 2004,
     QUERY_SQL_FIELDS_CURSOR_GET_PAGE = 2005,
+    QUERY_CONTINUOUS = 2006,
+    QUERY_CONTINUOUS_EVENT_NOTIFICATION = 2007,
     RESOURCE_CLOSE = 0,
     // Binary Types
     GET_BINARY_TYPE = 3002,
-    PUT_BINARY_TYPE = 3003
+    PUT_BINARY_TYPE = 3003,
+    // Transactions
+    TX_START = 4000,
+    TX_END = 4001,
+    // Cluster
+    CLUSTER_GET_STATE = 5000,
+    CLUSTER_CHANGE_STATE = 5001,
+    CLUSTER_CHANGE_WAL_STATE = 5002,
+    CLUSTER_GET_WAL_STATE = 5003,
+    CLUSTER_GROUP_GET_NODE_IDS = 5100,
+    CLUSTER_GROUP_GET_NODE_INFO = 5101,
+    CLUSTER_GROUP_GET_NODE_ENDPOINTS = 5102,
+    // Compute
+    COMPUTE_TASK_EXECUTE = 6000,
+    COMPUTE_TASK_FINISHED = 6001,
+    // Services
+    SERVICE_INVOKE = 7000,
+    SERVICE_GET_DESCRIPTORS = 7001,
+    SERVICE_GET_DESCRIPTOR = 7002,
+    // Data Streamer
+    DATA_STREAMER_START = 8000
 }
 
 export const TYPE_CODE = {
@@ -301,6 +323,12 @@ export default class BinaryUtils {
         return type instanceof CompositeType ? type.typeCode : type;
     }
 
+    // Returns the type to read an object with, so that complex objects are kept in the binary form:
+    // the primitive types are kept, the composite types are not specified.
+    static getKeepBinaryType(type: PRIMITIVE_TYPE | CompositeType): PRIMITIVE_TYPE | CompositeType {
+        return type instanceof CompositeType ? null : type;
+    }
+
     static checkObjectType(type, argName) {
         if (type === null || type instanceof CompositeType) {
             return;
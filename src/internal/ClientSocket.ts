@@ -28,16 +28,25 @@ import ArgumentChecker from "./ArgumentChecker";
 import BinaryCommunicator from "./BinaryCommunicator";
 import MessageBuffer from "./MessageBuffer";
 import {NetConnectOpts, Socket } from "net";
-import { LostConnectionError, OperationError, IllegalStateError, IgniteClientError } from '../Errors';
+import { LostConnectionError, OperationError, IllegalStateError, IgniteClientError, TimeoutError, AbortError } from '../Errors';
 import { AffinityTopologyVersion } from './PartitionAwarenessUtils';
 import { IgniteClientConfiguration } from "../IgniteClientConfiguration";
 import { ConnectionOptions } from 'tls';
+import { PROTOCOL_FEATURE, ServerInfo } from '../ServerInfo';
+import { OperationOptions } from '../OperationOptions';
 
 const HANDSHAKE_SUCCESS_STATUS_CODE = 1;
 const REQUEST_SUCCESS_STATUS_CODE = 0;
 const PORT_DEFAULT = 10800;
 const FLAG_ERROR = 1;
 const FLAG_TOPOLOGY_CHANGED = 2;
+const FLAG_NOTIFICATION = 4;
+// Max number of notifications buffered per resource until a listener for the resource is added
+const PENDING_NOTIFICATIONS_MAX = 1000;
+// Max number of notifications buffered for all the resources with no listener
+const PENDING_NOTIFICATIONS_TOTAL_MAX = 10000;
+// Max number of the abandoned requests whose ids are remembered until their late responses arrive
+const ABANDONED_REQUESTS_MAX = 1000;
 
 class ProtocolVersion {
 
@@ -90,16 +99,33 @@ const PROTOCOL_VERSION_1_1_0 = new ProtocolVersion(1, 1, 0);
 const PROTOCOL_VERSION_1_2_0 = new ProtocolVersion(1, 2, 0);
 const PROTOCOL_VERSION_1_3_0 = new ProtocolVersion(1, 3, 0);
 const PROTOCOL_VERSION_1_4_0 = new ProtocolVersion(1, 4, 0);
+const PROTOCOL_VERSION_1_5_0 = new ProtocolVersion(1, 5, 0);
+const PROTOCOL_VERSION_1_6_0 = new ProtocolVersion(1, 6, 0);
+const PROTOCOL_VERSION_1_7_0 = new ProtocolVersion(1, 7, 0);
 
 const SUPPORTED_VERSIONS = [
     // PROTOCOL_VERSION_1_0_0, // Support for QueryField precision/scale fields breaks 1.0.0 compatibility
     PROTOCOL_VERSION_1_1_0,
     PROTOCOL_VERSION_1_2_0,
     PROTOCOL_VERSION_1_3_0,
-    PROTOCOL_VERSION_1_4_0
+    PROTOCOL_VERSION_1_4_0,
+    PROTOCOL_VERSION_1_5_0,
+    PROTOCOL_VERSION_1_6_0,
+    PROTOCOL_VERSION_1_7_0
 ];
 
-const CURRENT_VERSION = PROTOCOL_VERSION_1_4_0;
+const CURRENT_VERSION = PROTOCOL_VERSION_1_7_0;
+
+// Optional protocol features the client advertises to the server in the handshake (protocol 1.7.0+)
+const CLIENT_FEATURES = [
+    PROTOCOL_FEATURE.EXECUTE_TASK_BY_NAME,
+    PROTOCOL_FEATURE.CLUSTER_STATES,
+    PROTOCOL_FEATURE.CLUSTER_GROUP_GET_NODES_ENDPOINTS,
+    PROTOCOL_FEATURE.CLUSTER_GROUPS,
+    PROTOCOL_FEATURE.SERVICE_INVOKE,
+    PROTOCOL_FEATURE.DEFAULT_QRY_TIMEOUT,
+    PROTOCOL_FEATURE.GET_SERVICE_DESCRIPTORS
+];
 
 export enum STATE {
     INITIAL = 0,
@@ -108,6 +134,25 @@ export enum STATE {
     DISCONNECTED = 3
 }
 
+/**
+ * Listener of server notifications related to a server-side resource
+ * (e.g. a continuous query) which has been created via this socket.
+ */
+export interface NotificationListener {
+    // Called for every notification in the order the notifications have been received.
+    // error is not null if the server reports a failure instead of the notification payload.
+    onNotification(opCode: number, payload: MessageBuffer, error: Error): Promise<void>;
+
+    // Called once when the socket is disconnected, no notifications are delivered afterwards.
+    onDisconnect(error: Error): void;
+}
+
+interface Notification {
+    opCode: number;
+    payload: MessageBuffer;
+    error: Error;
+}
+
 export default class ClientSocket {
 
     private _socket: Socket;
@@ -118,6 +163,12 @@ export default class ClientSocket {
 
     private _requests: Map<string, Request>;
 
+    // Ids of the requests which have timed out or have been aborted and whose responses have not been received yet
+    private _abandonedRequests: Set<string>;
+
+    // Greatest id of the abandoned requests which have been dropped from the set above
+    private _abandonedRequestsDroppedId: Long;
+
     private _nodeUuid: string;
 
     private _error: string | Error;
@@ -133,9 +184,14 @@ export default class ClientSocket {
     private _wasConnected: boolean;
     private _handshakeRequestId: Long;
     private _protocolVersion: ProtocolVersion;
+    private _features: Set<PROTOCOL_FEATURE>;
     private _port: number | string;
     private _version: number;
     private _processingQueue: Promise<void>;
+    private _notificationQueue: Promise<void>;
+    private _notificationListeners: Map<string, NotificationListener>;
+    private _pendingNotifications: Map<string, Notification[]>;
+    private _pendingNotificationsNum: number;
 
     constructor(endpoint: string, config: IgniteClientConfiguration, communicator: BinaryCommunicator, onSocketDisconnect: Function, onAffinityTopologyChange: Function) {
         ArgumentChecker.notEmpty(endpoint, 'endpoints');
@@ -148,9 +204,12 @@ export default class ClientSocket {
 
         this._state = STATE.INITIAL;
         this._requests = new Map<string, Request>();
+        this._abandonedRequests = new Set<string>();
+        this._abandonedRequestsDroppedId = null;
         this._requestId = Long.ZERO;
         this._handshakeRequestId = null;
         this._protocolVersion = null;
+        this._features = new Set<PROTOCOL_FEATURE>();
         this._wasConnected = false;
         this._socket = null;
         this._buffer = null;
@@ -159,6 +218,10 @@ export default class ClientSocket {
 
         this._nodeUuid = null;
         this._processingQueue = Promise.resolve();
+        this._notificationQueue = Promise.resolve();
+        this._notificationListeners = new Map<string, NotificationListener>();
+        this._pendingNotifications = new Map<string, Notification[]>();
+        this._pendingNotificationsNum = 0;
     }
 
     async connect() {
@@ -172,6 +235,11 @@ export default class ClientSocket {
         this._disconnect(true, false);
     }
 
+    // Number of the requests waiting for a response
+    get inFlightRequests(): number {
+        return this._requests.size;
+    }
+
     get requestId() {
         const id = this._requestId;
         this._requestId = this._requestId.add(1);
@@ -186,11 +254,89 @@ export default class ClientSocket {
         return this._nodeUuid;
     }
 
-    async sendRequest(opCode, payloadWriter, payloadReader = null) {
+    get state(): STATE {
+        return this._state;
+    }
+
+    isTransactionsSupported(): boolean {
+        return this._isProtocolVersionSupported(PROTOCOL_VERSION_1_5_0);
+    }
+
+    isContinuousQueriesSupported(): boolean {
+        return this._isProtocolVersionSupported(PROTOCOL_VERSION_1_5_0);
+    }
+
+    isExpiryPolicySupported(): boolean {
+        return this._isProtocolVersionSupported(PROTOCOL_VERSION_1_6_0);
+    }
+
+    isClusterApiSupported(): boolean {
+        return this._isProtocolVersionSupported(PROTOCOL_VERSION_1_6_0);
+    }
+
+    // Checks if the optional feature is supported by both the client and the server
+    isFeatureSupported(feature: PROTOCOL_FEATURE): boolean {
+        return this._features.has(feature);
+    }
+
+    getServerInfo(): ServerInfo {
+        const features = [...this._features].sort((a, b) => a - b);
+        return new ServerInfo(this._protocolVersion.toString(), features, <any>this._nodeUuid);
+    }
+
+    /**
+     * Adds a listener of notifications sent by the server for the specified resource.
+     * Notifications which have been received before the listener is added are delivered to it as well.
+     */
+    addNotificationListener(resourceId: Long, listener: NotificationListener) {
+        const id = resourceId.toString();
+        if (this._state === STATE.DISCONNECTED) {
+            listener.onDisconnect(new LostConnectionError(this._error));
+            return;
+        }
+        this._notificationListeners.set(id, listener);
+        this._enqueueNotificationTask(() => this._deliverNotifications(id));
+    }
+
+    removeNotificationListener(resourceId: Long) {
+        const id = resourceId.toString();
+        this._notificationListeners.delete(id);
+        this._dropPendingNotifications(id);
+    }
+
+    async sendRequest(opCode, payloadWriter, payloadReader = null, options: OperationOptions = null) {
         if (this._state === STATE.CONNECTED) {
+            const timeout = options && options.timeout !== undefined ? options.timeout : this._config.requestTimeout;
+            const signal = options && options.signal ? options.signal : null;
+            if (signal && signal.aborted) {
+                throw new AbortError();
+            }
             return new Promise(async (resolve, reject) => {
-                const request = new Request(this.requestId, opCode, payloadWriter, payloadReader, resolve, reject);
+                let timer = null;
+                const onAbort = () => this._abandonRequest(request, new AbortError());
+                const cleanUp = () => {
+                    clearTimeout(timer);
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                };
+                const request = new Request(this.requestId, opCode, payloadWriter, payloadReader,
+                    (result) => {
+                        cleanUp();
+                        resolve(result);
+                    },
+                    (error) => {
+                        cleanUp();
+                        reject(error);
+                    });
                 this._addRequest(request);
+                if (timeout > 0) {
+                    timer = setTimeout(() => this._abandonRequest(request, new TimeoutError(
+                        Util.format('Request to %s is not completed within %d ms', this._endpoint, timeout))), timeout);
+                }
+                if (signal) {
+                    signal.addEventListener('abort', onAbort);
+                }
                 await this._sendRequest(request);
             });
         }
@@ -245,9 +391,34 @@ export default class ClientSocket {
         this._requests.set(request.id.toString(), request);
     }
 
+    _abandonRequest(request: Request, error: Error) {
+        const id = request.id.toString();
+        // The request may have been completed already
+        if (this._requests.delete(id)) {
+            this._abandonedRequests.add(id);
+            if (this._abandonedRequests.size > ABANDONED_REQUESTS_MAX) {
+                // The responses of a stalled node may never arrive. The request ids grow and are never reused,
+                // so the dropped ids are remembered by the greatest one
+                const droppedId: string = this._abandonedRequests.values().next().value;
+                this._abandonedRequests.delete(droppedId);
+                const droppedLongId = Long.fromString(droppedId);
+                if (this._abandonedRequestsDroppedId === null || droppedLongId.greaterThan(this._abandonedRequestsDroppedId)) {
+                    this._abandonedRequestsDroppedId = droppedLongId;
+                }
+            }
+            request.reject(error);
+        }
+    }
+
+    _isAbandonedRequest(requestId: string): boolean {
+        return this._abandonedRequests.delete(requestId) ||
+            this._abandonedRequestsDroppedId !== null &&
+            Long.fromString(requestId).lessThanOrEqual(this._abandonedRequestsDroppedId);
+    }
+
     async _sendRequest(request: Request) {
         try {
-            const message = await request.getMessage();
+            const message = await request.getMessage(this);
             this._logMessage(request.id.toString(), true, message);
             this._socket.write(message);
         }
@@ -313,6 +484,26 @@ export default class ClientSocket {
                 this._offset = 0;
             }
 
+            const headerConsumed = isHandshake
+                ? BinaryUtils.getSize(BinaryUtils.TYPE_CODE.INTEGER)           // 4 B: length only
+                : BinaryUtils.getSize(BinaryUtils.TYPE_CODE.INTEGER) +         // 4 B: length
+                  BinaryUtils.getSize(BinaryUtils.TYPE_CODE.LONG);             // 8 B: request-id
+
+            // Notification frames carry the id of the server-side resource they relate to
+            // in place of the request id. Resource ids and request ids are generated independently
+            // and may coincide, so the flags must be checked before the id is matched to a request.
+            if (!isHandshake && this._isNotification(buffer)) {
+                const notificationBuffer = MessageBuffer.from(
+                    buffer.getSlice(msgStart + headerConsumed, msgEnd),
+                    0
+                );
+                // Notifications are processed off the parse chain for the same reason as
+                // the responses are (see below), but sequentially so that the listeners
+                // observe them in the order they have been sent by the server.
+                this._enqueueNotificationTask(() => this._processNotification(requestId, notificationBuffer));
+                continue;
+            }
+
             if (this._requests.has(requestId)) {
                 const request = this._requests.get(requestId);
                 this._requests.delete(requestId);
@@ -326,10 +517,6 @@ export default class ClientSocket {
                 // position and corrupting each other's reads under parallel scan
                 // workloads. Built only on the matched-request path so unmatched frames
                 // cost no copy.
-                const headerConsumed = isHandshake
-                    ? BinaryUtils.getSize(BinaryUtils.TYPE_CODE.INTEGER)           // 4 B: length only
-                    : BinaryUtils.getSize(BinaryUtils.TYPE_CODE.INTEGER) +         // 4 B: length
-                      BinaryUtils.getSize(BinaryUtils.TYPE_CODE.LONG);             // 8 B: request-id
                 const freshBuffer = MessageBuffer.from(
                     buffer.getSlice(msgStart + headerConsumed, msgEnd),
                     0
@@ -368,14 +555,18 @@ export default class ClientSocket {
                     });
                 }
             }
+            else if (this._isAbandonedRequest(requestId)) {
+                // Late response to a request which has timed out or has been aborted,
+                // the caller has been rejected already
+                Logger.logDebug('Response to the abandoned request ' + requestId + ' is discarded');
+            }
             else {
-                // No pending request matches this response id. At the protocol version
-                // this client negotiates (<= 1.4.0) the server never sends unsolicited
-                // frames: affinity-topology updates ride on response flags (handled in
-                // _finalizeResponse), and notification / heartbeat frames only exist in
-                // later protocol versions this client does not speak. Requests are also
-                // never removed while still awaiting a response (there is no client-side
-                // timeout), so an unmatched id cannot be a late or duplicate reply.
+                // No pending request matches this response id. The server never sends
+                // unsolicited frames other than notifications, which are dispatched above:
+                // affinity-topology updates ride on response flags (handled in
+                // _finalizeResponse). Requests which have timed out or have been aborted
+                // are remembered until their responses arrive (the oldest ones by the greatest dropped id),
+                // so an unmatched id cannot be a late or duplicate reply.
                 // It therefore means the response byte stream has desynced, after which
                 // every subsequent frame is garbage and the originating request would
                 // otherwise hang forever. Fail fast: throwing propagates to the socket
@@ -388,6 +579,92 @@ export default class ClientSocket {
         }
     }
 
+    _isProtocolVersionSupported(version: ProtocolVersion): boolean {
+        return this._protocolVersion !== null && this._protocolVersion.compareTo(version) >= 0;
+    }
+
+    _isNotification(buffer: MessageBuffer): boolean {
+        if (this._protocolVersion.compareTo(PROTOCOL_VERSION_1_4_0) < 0) {
+            return false;
+        }
+        const position = buffer.position;
+        const flags = buffer.readShort();
+        buffer.position = position;
+        return (flags & FLAG_NOTIFICATION) !== 0;
+    }
+
+    _enqueueNotificationTask(task: () => Promise<void>) {
+        this._notificationQueue = this._notificationQueue
+            .then(task)
+            .catch(err => {
+                this._error = err.message;
+                this._disconnect();
+            });
+    }
+
+    async _processNotification(resourceId: string, buffer: MessageBuffer) {
+        const flags = buffer.readShort();
+        if (flags & FLAG_TOPOLOGY_CHANGED) {
+            const newVersion = new AffinityTopologyVersion(buffer);
+            await this._onAffinityTopologyChange(newVersion);
+        }
+        const opCode = buffer.readShort();
+        let error = null;
+        if (flags & FLAG_ERROR) {
+            buffer.readInteger(); // status code
+            error = new OperationError(BinaryCommunicator.readString(buffer));
+        }
+
+        if (!this._notificationListeners.has(resourceId)) {
+            const buffered = this._pendingNotifications.get(resourceId);
+            if (buffered && buffered.length >= PENDING_NOTIFICATIONS_MAX) {
+                // Nobody listens to the resource, e.g. it has been closed already
+                Logger.logError('Notification for unknown resource ' + resourceId + ' is dropped');
+                return;
+            }
+            if (this._pendingNotificationsNum >= PENDING_NOTIFICATIONS_TOTAL_MAX) {
+                // The resource buffered for the longest time is the least likely to get a listener
+                const oldestId = this._pendingNotifications.keys().next().value;
+                Logger.logError('Notifications for unknown resource ' + oldestId + ' are dropped');
+                this._dropPendingNotifications(oldestId);
+            }
+        }
+        let pending = this._pendingNotifications.get(resourceId);
+        if (!pending) {
+            pending = [];
+            this._pendingNotifications.set(resourceId, pending);
+        }
+        pending.push({ opCode: opCode, payload: buffer, error: error });
+        this._pendingNotificationsNum++;
+        await this._deliverNotifications(resourceId);
+    }
+
+    _dropPendingNotifications(resourceId: string) {
+        const pending = this._pendingNotifications.get(resourceId);
+        if (pending) {
+            this._pendingNotifications.delete(resourceId);
+            this._pendingNotificationsNum -= pending.length;
+        }
+    }
+
+    async _deliverNotifications(resourceId: string) {
+        const listener = this._notificationListeners.get(resourceId);
+        const pending = this._pendingNotifications.get(resourceId);
+        if (!listener || !pending) {
+            return;
+        }
+        this._dropPendingNotifications(resourceId);
+        for (let notification of pending) {
+            try {
+                await listener.onNotification(notification.opCode, notification.payload, notification.error);
+            }
+            catch (err) {
+                // A failing listener must not break the connection other listeners depend on
+                Logger.logError('Notification listener failed: ' + err);
+            }
+        }
+    }
+
     async _finalizeHandshake(buffer: MessageBuffer, request: Request) {
         const isSuccess = buffer.readByte() === HANDSHAKE_SUCCESS_STATUS_CODE;
 
@@ -418,6 +695,10 @@ export default class ClientSocket {
             }
         }
         else {
+            if (this._protocolVersion.compareTo(PROTOCOL_VERSION_1_7_0) >= 0) {
+                this._features = ClientSocket._negotiateFeatures(ClientSocket._readFeatures(buffer));
+            }
+
             if (this._protocolVersion.compareTo(PROTOCOL_VERSION_1_4_0) >= 0) {
                 this._nodeUuid = await this._communicator.readObject(buffer, BinaryUtils.TYPE_CODE.UUID);
             }
@@ -476,14 +757,51 @@ export default class ClientSocket {
         this._protocolVersion.write(payload);
         // Client code
         payload.writeByte(2);
+        if (this._protocolVersion.compareTo(PROTOCOL_VERSION_1_7_0) >= 0) {
+            ClientSocket._writeFeatures(payload, CLIENT_FEATURES);
+        }
         if (this._config.userName) {
             BinaryCommunicator.writeString(payload, this._config.userName);
             BinaryCommunicator.writeString(payload, this._config.password);
         }
     }
 
+    static _writeFeatures(payload: MessageBuffer, features: PROTOCOL_FEATURE[]) {
+        // Features are sent as a bitmask byte array where the feature id is the bit index
+        const bitmask = Buffer.alloc(Math.floor(Math.max(-1, ...features) / 8) + 1);
+        for (let feature of features) {
+            bitmask[feature >> 3] |= 1 << (feature & 7);
+        }
+        payload.writeByte(BinaryUtils.TYPE_CODE.BYTE_ARRAY);
+        payload.writeInteger(bitmask.length);
+        payload.writeBuffer(bitmask);
+    }
+
+    static _readFeatures(buffer: MessageBuffer): Buffer {
+        const typeCode = buffer.readByte();
+        if (typeCode === BinaryUtils.TYPE_CODE.NULL) {
+            return Buffer.alloc(0);
+        }
+        if (typeCode !== BinaryUtils.TYPE_CODE.BYTE_ARRAY) {
+            throw IgniteClientError.internalError('Unexpected type of the server features: ' + typeCode);
+        }
+        return buffer.readBuffer(buffer.readInteger());
+    }
+
+    static _negotiateFeatures(serverBitmask: Buffer): Set<PROTOCOL_FEATURE> {
+        const features = new Set<PROTOCOL_FEATURE>();
+        for (let feature of CLIENT_FEATURES) {
+            const index = feature >> 3;
+            if (index < serverBitmask.length && (serverBitmask[index] & (1 << (feature & 7))) !== 0) {
+                features.add(feature);
+            }
+        }
+        return features;
+    }
+
     _getHandshake(version: ProtocolVersion, resolve: Function, reject: Function) {
         this._protocolVersion = version;
+        this._features = new Set<PROTOCOL_FEATURE>();
         const handshakeRequest = new Request(
             this.requestId, null, this._handshakePayloadWriter.bind(this), null, resolve, reject);
         this._addRequest(handshakeRequest);
@@ -506,6 +824,15 @@ export default class ClientSocket {
             request.reject(new LostConnectionError(this._error));
             this._requests.delete(id);
         });
+        this._abandonedRequests.clear();
+        this._abandonedRequestsDroppedId = null;
+        const listeners = this._notificationListeners;
+        this._notificationListeners = new Map<string, NotificationListener>();
+        this._pendingNotifications.clear();
+        this._pendingNotificationsNum = 0;
+        listeners.forEach((listener) => {
+            listener.onDisconnect(new LostConnectionError(this._error));
+        });
         if (this._wasConnected && callOnDisconnect && this._onSocketDisconnect) {
             this._onSocketDisconnect(this, this._error);
         }
@@ -519,39 +846,39 @@ export default class ClientSocket {
         endpoint = endpoint.trim();
         this._host = endpoint;
         this._port = null;
-        const colonCnt = endpoint.split(':').length - 1;
-        if (colonCnt > 1) {
-            // IPv6 address
-            this._version = 6;
-            const index = endpoint.lastIndexOf(']:');
-            if (index >= 0) {
-                this._host = endpoint.substring(0, index + 1);
-                this._port = endpoint.substring(index + 2);
+        if (endpoint.startsWith('[')) {
+            // IPv6 address in brackets, optionally followed by the port
+            const index = endpoint.indexOf(']');
+            const rest = index >= 0 ? endpoint.substring(index + 1) : null;
+            if (rest === null || (rest !== '' && !rest.startsWith(':'))) {
+                throw IgniteClientError.illegalArgumentError('Incorrect endpoint format: ' + endpoint);
             }
-            if (this._host.startsWith('[') || this._host.endsWith(']')) {
-                if (this._host.startsWith('[') && this._host.endsWith(']')) {
-                    this._host = this._host.substring(1, this._host.length - 1);
-                }
-                else {
-                    throw IgniteClientError.illegalArgumentError('Incorrect endpoint format: ' + endpoint);
-                }
+            this._host = endpoint.substring(1, index);
+            this._port = rest.substring(1);
+        }
+        else if (endpoint.split(':').length - 1 > 1) {
+            // IPv6 address with no port
+            if (endpoint.endsWith(']')) {
+                throw IgniteClientError.illegalArgumentError('Incorrect endpoint format: ' + endpoint);
             }
         }
         else {
-            // IPv4 address
-            this._version = 4;
             const index = endpoint.lastIndexOf(':');
             if (index >= 0) {
                 this._host = endpoint.substring(0, index);
                 this._port = endpoint.substring(index + 1);
             }
         }
+        this._version = this._host.indexOf(':') >= 0 ? 6 : 4;
+        if (!this._host) {
+            throw IgniteClientError.illegalArgumentError('Incorrect endpoint format: ' + endpoint);
+        }
         if (!this._port) {
             this._port = PORT_DEFAULT;
         }
         else {
-            this._port = parseInt(<string>this._port);
-            if (isNaN(this._port)) {
+            this._port = /^\d+$/.test(<string>this._port) ? parseInt(<string>this._port) : NaN;
+            if (isNaN(this._port) || this._port > 65535) {
                 throw IgniteClientError.illegalArgumentError('Incorrect endpoint format: ' + endpoint);
             }
         }
@@ -597,7 +924,9 @@ class Request {
         return this._reject;
     }
 
-    async getMessage() {
+    // The payload writer is given the socket the request is sent to,
+    // so the features used by the payload can be checked for the node the socket is connected to
+    async getMessage(socket: ClientSocket) {
         const message = new MessageBuffer();
         // Skip message length
         const messageStartPos = BinaryUtils.getSize(BinaryUtils.TYPE_CODE.INTEGER);
@@ -610,7 +939,7 @@ class Request {
         }
         if (this._payloadWriter) {
             // Payload
-            await this._payloadWriter(message);
+            await this._payloadWriter(message, socket);
         }
         // Message length
         message.position = 0;
@@ -0,0 +1,75 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import * as Util from 'util';
+import MessageBuffer from "./MessageBuffer";
+import { IgniteClientError } from "../Errors";
+import { ExpiryPolicy } from "../CacheClient";
+
+// Special duration values of the protocol
+const DURATION_NOT_CHANGED = -2;
+const DURATION_ETERNAL = -1;
+
+/** Helper class for the expiry policy checks and serialization. */
+export default class ExpiryPolicyUtils {
+
+    static check(policy: ExpiryPolicy, argName: string) {
+        if (policy === null || policy === undefined || typeof policy !== 'object') {
+            throw IgniteClientError.illegalArgumentError(Util.format('"%s" argument should be an object', argName));
+        }
+        for (let name of ['create', 'update', 'access']) {
+            const duration = policy[name];
+            if (duration !== null && duration !== undefined && duration !== Infinity &&
+                !(Number.isInteger(duration) && duration >= 0)) {
+                throw IgniteClientError.illegalArgumentError(
+                    Util.format('"%s.%s" should be a non-negative integer or Infinity', argName, name));
+            }
+        }
+    }
+
+    // Writes the create, update and access durations of the policy
+    static write(buffer: MessageBuffer, policy: ExpiryPolicy) {
+        buffer.writeLong(ExpiryPolicyUtils._toProtocolDuration(policy.create));
+        buffer.writeLong(ExpiryPolicyUtils._toProtocolDuration(policy.update));
+        buffer.writeLong(ExpiryPolicyUtils._toProtocolDuration(policy.access));
+    }
+
+    // Reads the create, update and access durations of the policy
+    static read(buffer: MessageBuffer): ExpiryPolicy {
+        return {
+            create: ExpiryPolicyUtils._fromProtocolDuration(buffer.readLong().toNumber()),
+            update: ExpiryPolicyUtils._fromProtocolDuration(buffer.readLong().toNumber()),
+            access: ExpiryPolicyUtils._fromProtocolDuration(buffer.readLong().toNumber())
+        };
+    }
+
+    static _toProtocolDuration(duration: number): number {
+        if (duration === null || duration === undefined) {
+            return DURATION_NOT_CHANGED;
+        }
+        return duration === Infinity ? DURATION_ETERNAL : duration;
+    }
+
+    static _fromProtocolDuration(duration: number): number {
+        if (duration === DURATION_NOT_CHANGED) {
+            return null;
+        }
+        return duration === DURATION_ETERNAL ? Infinity : duration;
+    }
+}
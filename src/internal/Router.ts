@@ -18,18 +18,25 @@
 'use strict';
 
 import * as Util from "util";
-import { IgniteClient, IgniteClientOnStateChanged, STATE } from "../IgniteClient";
-import ClientSocket from "./ClientSocket";
+import { IgniteClient, IgniteClientOnStateChanged, ReconnectDetails, STATE } from "../IgniteClient";
+import ClientSocket, { STATE as SOCKET_STATE } from "./ClientSocket";
 import BinaryUtils from "./BinaryUtils";
 import { BinaryObject } from "../BinaryObject";
 import Logger from "./Logger";
 import { AffinityTopologyVersion, CacheAffinityMap, PartitionAwarenessCacheGroup, RendezvousAffinityFunction } from "./PartitionAwarenessUtils";
-import { IgniteClientError, LostConnectionError, IllegalStateError } from "../Errors";
+import { IgniteClientError, LostConnectionError, IllegalStateError, TimeoutError, AbortError, OfflineQueueError } from "../Errors";
 import BinaryCommunicator from "./BinaryCommunicator";
-import { IgniteClientConfiguration } from "../IgniteClientConfiguration";
+import { IgniteClientConfiguration, LOAD_BALANCING_STRATEGY } from "../IgniteClientConfiguration";
 import {AffinityHint} from "../CacheClient";
 import {PRIMITIVE_TYPE} from "./Constants";
 import {CompositeType} from "../ObjectType";
+import {Transaction} from "../Transaction";
+import {AbortSignalLike, OperationOptions} from "../OperationOptions";
+import ArgumentChecker from "./ArgumentChecker";
+import { PROTOCOL_FEATURE } from "../ServerInfo";
+
+// Topology version which makes the server return all the nodes of the current topology
+const UNKNOWN_TOPOLOGY_VERSION = -1;
 
 export default class Router {
 
@@ -43,8 +50,16 @@ export default class Router {
     private _onStateChanged: IgniteClientOnStateChanged;
     private _inactiveEndpoints: string[];
     private _backgroundConnectTask: Promise<void>;
+    private _discoveryTask: Promise<void>;
+    private _discoveryPending: boolean;
+    private _discoveredEndpoints: Set<string>;
+    private _reconnectTask: Promise<void>;
+    private _reconnectDelay: { timer: NodeJS.Timeout, resolve: () => void };
+    private _offlineQueue: Array<(error: Error) => void>;
+    private _roundRobinIndex: number;
     private _legacyConnection: ClientSocket;
     private _affinityTopologyVer: AffinityTopologyVersion;
+    private _transactions: Set<Transaction>;
 
     constructor(onStateChanged: IgniteClientOnStateChanged) {
         this._state = IgniteClient.STATE.DISCONNECTED;
@@ -61,11 +76,35 @@ export default class Router {
         this._partitionAwarenessActive = false;
         // Contains the background task (promise) or null
         this._backgroundConnectTask = null;
+        // Contains the node discovery task (promise) or null
+        this._discoveryTask = null;
+        // Set if the topology has changed while the discovery task is running
+        this._discoveryPending = false;
+        // Endpoints of the nodes found by the discovery which are not specified in the configuration
+        this._discoveredEndpoints = new Set<string>();
+        // Contains the automatic reconnection task (promise) or null
+        this._reconnectTask = null;
+        // The delay before the next reconnection attempt, cancelled by disconnect()
+        this._reconnectDelay = null;
+        // Requests waiting for the connection, see _waitConnected()
+        this._offlineQueue = [];
         // {Node UUID -> ClientSocket instance}
         this._connections = {};
+        // Index of the connection used for the last request in ROUND_ROBIN load balancing
+        this._roundRobinIndex = 0;
         // {cacheId -> CacheAffinityMap}
         this._distributionMap = new Map<number, CacheAffinityMap>();
         this._affinityTopologyVer = null;
+        // Transactions which are active on this client
+        this._transactions = new Set<Transaction>();
+    }
+
+    addTransaction(transaction: Transaction) {
+        this._transactions.add(transaction);
+    }
+
+    removeTransaction(transaction: Transaction) {
+        this._transactions.delete(transaction);
     }
 
     async connect(communicator: BinaryCommunicator, config: IgniteClientConfiguration) {
@@ -73,8 +112,9 @@ export default class Router {
             throw new IllegalStateError(this._state);
         }
 
-        // Wait for background task to stop before we move forward
+        // Wait for background tasks to stop before we move forward
         await this._waitBackgroundConnect();
+        await this._waitReconnect();
 
         this._communicator = communicator;
         this._config = config;
@@ -87,6 +127,7 @@ export default class Router {
     disconnect() {
         if (this._state !== IgniteClient.STATE.DISCONNECTED) {
             this._changeState(IgniteClient.STATE.DISCONNECTED);
+            this._cancelReconnectDelay();
 
             for (const socket of this._getAllConnections()) {
                     socket.disconnect();
@@ -96,30 +137,250 @@ export default class Router {
         }
     }
 
-    async send(opCode, payloadWriter, payloadReader = null, affinityHint: AffinityHint = null) {
+    // Returns the connection the request has been completed on
+    async send(opCode, payloadWriter, payloadReader = null, affinityHint: AffinityHint = null, socket: ClientSocket = null,
+               options: OperationOptions = null): Promise<ClientSocket> {
+        if (options) {
+            ArgumentChecker.checkOperationOptions(options);
+        }
         if (this._state !== IgniteClient.STATE.CONNECTED) {
-            throw new IllegalStateError(this._state);
+            // The request bound to the connection can not wait for another one
+            if (socket) {
+                throw new IllegalStateError(this._state);
+            }
+            await this._waitConnected(options);
+        }
+
+        if (socket) {
+            // The request bound to the connection can not be retried on another one
+            if (socket.state !== SOCKET_STATE.CONNECTED) {
+                throw new LostConnectionError(
+                    Util.format('Connection to %s is lost', socket.endpoint));
+            }
+            await socket.sendRequest(opCode, payloadWriter, payloadReader, options);
+            return socket;
+        }
+
+        const retryPolicy = this._config.retryPolicy;
+        // The retries are made within the timeout of the operation
+        const timeout = options && options.timeout !== undefined ? options.timeout : this._config.requestTimeout;
+        const deadline = timeout > 0 ? Date.now() + timeout : 0;
+        const signal = options && options.signal ? options.signal : null;
+        let attemptOptions = options;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this._send(opCode, payloadWriter, payloadReader, affinityHint, attemptOptions);
+            }
+            catch (err) {
+                if (!retryPolicy || !(err instanceof LostConnectionError || err instanceof TimeoutError)) {
+                    throw err;
+                }
+                const context = { operation: opCode, attempt: attempt, error: err };
+                if (!retryPolicy.shouldRetry(context)) {
+                    throw err;
+                }
+                const delay = typeof retryPolicy.getRetryDelay === 'function' ? retryPolicy.getRetryDelay(context) : 0;
+                if (deadline > 0 && Date.now() + delay >= deadline) {
+                    throw err;
+                }
+                Logger.logDebug(Util.format('Operation %d failed (attempt %d): "%s". Retrying in %d ms',
+                    opCode, attempt, err.message, delay));
+                if (delay > 0) {
+                    await this._sleep(delay, signal);
+                }
+                if (this._state !== IgniteClient.STATE.CONNECTED) {
+                    await this._waitConnected(options);
+                }
+                if (deadline > 0) {
+                    const remaining = deadline - Date.now();
+                    if (remaining <= 0) {
+                        throw err;
+                    }
+                    attemptOptions = Object.assign({}, options, { timeout: remaining });
+                }
+            }
         }
+    }
 
+    async _send(opCode, payloadWriter, payloadReader, affinityHint: AffinityHint, options: OperationOptions): Promise<ClientSocket> {
         if (this._partitionAwarenessActive && affinityHint) {
-            await this._affinitySend(opCode, payloadWriter, payloadReader, affinityHint);
+            return await this._affinitySend(opCode, payloadWriter, payloadReader, affinityHint, options);
         }
-        else {
-            // If _partitionAwarenessActive flag is not set, we have exactly one connection
-            // but it can be either a legacy one or a modern one (with node UUID)
-            // If affinityHint has not been passed, we want to always use one socket (as long as it is alive)
-            // because some requests (e.g., SQL cursor-related) require to be sent to the same cluster node
-            await this._getAllConnections()[0].sendRequest(opCode, payloadWriter, payloadReader);
+        // If _partitionAwarenessActive flag is not set, we have exactly one connection
+        // but it can be either a legacy one or a modern one (with node UUID)
+        // The requests which require to be sent to the same cluster node (e.g., SQL cursor-related)
+        // are sent with the socket specified, so other requests can be balanced between the connections
+        const connection = this._getBalancedConnection();
+        await connection.sendRequest(opCode, payloadWriter, payloadReader, options);
+        return connection;
+    }
+
+    // Returns the connection for a request with no affinity hint according to the load balancing strategy
+    _getBalancedConnection(): ClientSocket {
+        if (!this._partitionAwarenessActive) {
+            return this.getConnection();
+        }
+        const allConnections = this._getAllConnections();
+        switch (this._config.loadBalancing) {
+            case LOAD_BALANCING_STRATEGY.ROUND_ROBIN:
+                const connection = allConnections[this._roundRobinIndex % allConnections.length];
+                this._roundRobinIndex = (this._roundRobinIndex + 1) % allConnections.length;
+                return connection;
+            case LOAD_BALANCING_STRATEGY.LEAST_IN_FLIGHT:
+                return allConnections.reduce((least, connection) =>
+                    connection.inFlightRequests < least.inFlightRequests ? connection : least);
+            default:
+                return this.getConnection();
+        }
+    }
+
+    // Returns the connection which is used for requests with no affinity hint
+    getConnection(): ClientSocket {
+        if (this._state !== IgniteClient.STATE.CONNECTED) {
+            throw new IllegalStateError(this._state);
+        }
+
+        const allConnections = this._getAllConnections();
+        if (allConnections.length == 0) {
+            throw new LostConnectionError('Cluster is unavailable');
+        }
+        return allConnections[0];
+    }
+
+    // Returns the connection to the primary node of the key if it is known,
+    // otherwise the connection which is used for requests with no affinity hint
+    async getAffinityConnection(affinityHint: AffinityHint): Promise<ClientSocket> {
+        if (this._state !== IgniteClient.STATE.CONNECTED) {
+            throw new IllegalStateError(this._state);
+        }
+
+        if (this._partitionAwarenessActive) {
+            return await this._chooseConnection(affinityHint);
+        }
+        return this.getConnection();
+    }
+
+    // Splits the keys into the groups of the keys with the same primary node and returns the indexes of the keys,
+    // or null if the keys can not be split (partition awareness is not active
+    // or the partitions of the cache are not known)
+    async splitByNode(cacheId: number, keys: object[], keyType: PRIMITIVE_TYPE | CompositeType): Promise<number[][]> {
+        if (this._state !== IgniteClient.STATE.CONNECTED || !this._partitionAwarenessActive) {
+            return null;
+        }
+        if (!this._distributionMap.has(cacheId)) {
+            await this._getCachePartitions(cacheId);
+        }
+        const cacheAffinityMap = this._distributionMap.get(cacheId);
+        if (!cacheAffinityMap || cacheAffinityMap.partitionMapping.size === 0) {
+            return null;
+        }
+        const groups = new Map<string, number[]>();
+        for (let i = 0; i < keys.length; i++) {
+            let nodeId: string = "" + await this._determineNodeId(cacheAffinityMap, keys[i], keyType);
+            // The keys of the nodes the client is not connected to are sent together
+            if (!(nodeId in this._connections)) {
+                nodeId = '';
+            }
+            if (!groups.has(nodeId)) {
+                groups.set(nodeId, []);
+            }
+            groups.get(nodeId).push(i);
+        }
+        return Array.from(groups.values());
+    }
+
+    // Returns the hash code of the key which is used by the affinity function,
+    // the same for the key passed by the user and the key read from the server
+    async getKeyHashCode(key: object, keyType: PRIMITIVE_TYPE | CompositeType): Promise<number> {
+        const affinityKeyInfo = await this._affinityKeyInfo(key, keyType);
+        return await BinaryUtils.hashCode(affinityKeyInfo.key, this._communicator, affinityKeyInfo.typeCode);
+    }
+
+    // Returns {partition -> primary node id} mapping of the cache,
+    // or null if the partitions of the cache are not known (e.g. the cache is not partitioned)
+    async getPartitionMapping(cacheId: number): Promise<Map<number, number[]>> {
+        if (!this._distributionMap.has(cacheId)) {
+            await this._getCachePartitions(cacheId);
+        }
+        const cacheAffinityMap = this._distributionMap.get(cacheId);
+        if (!cacheAffinityMap || cacheAffinityMap.partitionMapping.size === 0) {
+            return null;
+        }
+        return cacheAffinityMap.partitionMapping;
+    }
+
+    // Returns all the connections
+    getConnections(): ClientSocket[] {
+        // Throws if the client is not connected or no connection is alive
+        this.getConnection();
+        return this._getAllConnections();
+    }
+
+    // Waits until the client is connected if the offline queue is enabled,
+    // otherwise throws IllegalStateError
+    async _waitConnected(options: OperationOptions) {
+        const queueOptions = this._config ? this._config.offlineQueue : null;
+        if (this._state !== IgniteClient.STATE.CONNECTING || !queueOptions) {
+            throw new IllegalStateError(this._state);
+        }
+        if (this._offlineQueue.length >= queueOptions.maxSize) {
+            throw new OfflineQueueError(Util.format(
+                'Offline queue is full: %d requests are waiting for the connection', queueOptions.maxSize));
+        }
+        const signal = options && options.signal ? options.signal : null;
+        if (signal && signal.aborted) {
+            throw new AbortError();
+        }
+
+        await new Promise<void>((resolve, reject) => {
+            let timer = null;
+            const onAbort = () => finish(new AbortError());
+            const finish = (error: Error) => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                const index = this._offlineQueue.indexOf(finish);
+                if (index > -1) {
+                    this._offlineQueue.splice(index, 1);
+                }
+                if (error) {
+                    reject(error);
+                }
+                else {
+                    resolve();
+                }
+            };
+            if (queueOptions.maxWaitTime > 0) {
+                timer = setTimeout(() => finish(new OfflineQueueError(Util.format(
+                    'Request has not been sent: the client is not connected within %d ms', queueOptions.maxWaitTime))),
+                    queueOptions.maxWaitTime);
+            }
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+            this._offlineQueue.push(finish);
+        });
+
+        // The connection could be lost again before the request is resumed
+        if (<STATE>this._state !== IgniteClient.STATE.CONNECTED) {
+            throw new IllegalStateError(this._state);
+        }
+    }
+
+    // Resumes the requests waiting for the connection in the order they have been made,
+    // or rejects them if the client is disconnected
+    _flushOfflineQueue(error: Error = null) {
+        const queue = this._offlineQueue;
+        this._offlineQueue = [];
+        for (const finish of queue) {
+            finish(error);
         }
     }
 
     async _connect() {
         const errors = [];
         const endpoints = this._inactiveEndpoints;
-        const config = this._config;
-        const communicator = this._communicator;
-        const onSocketDisconnect = this._onSocketDisconnect.bind(this);
-        const onAffinityTopologyChange = this._onAffinityTopologyChange.bind(this);
         const endpointsNum = endpoints.length;
         const random = this._getRandomInt(endpointsNum);
 
@@ -130,10 +391,7 @@ export default class Router {
             const endpoint = endpoints[index];
 
             try {
-                const socket = new ClientSocket(
-                    endpoint, config, communicator,
-                    onSocketDisconnect,
-                    onAffinityTopologyChange);
+                const socket = this._createSocket(endpoint);
 
                 await socket.connect();
                 Logger.logDebug(Util.format('Connected to %s', endpoint));
@@ -178,16 +436,9 @@ export default class Router {
     async _backgroundConnect(): Promise<void> {
         // Local copy of _inactiveEndpoints to make sure the array is not being changed during the 'for' cycle
         const endpoints = [...this._inactiveEndpoints];
-        const config = this._config;
-        const communicator = this._communicator;
-        const onSocketDisconnect = this._onSocketDisconnect.bind(this);
-        const onAffinityTopologyChange = this._onAffinityTopologyChange.bind(this);
 
         for (const endpoint of endpoints) {
-            const socket = new ClientSocket(
-                endpoint, config, communicator,
-                onSocketDisconnect,
-                onAffinityTopologyChange);
+            const socket = this._createSocket(endpoint);
 
             try {
                 await socket.connect();
@@ -215,9 +466,130 @@ export default class Router {
         }
     }
 
+    _runReconnect(reason: string) {
+        if (!this._reconnectTask) {
+            // Only one task can be active
+            this._reconnectTask = this._reconnectLoop(reason);
+            this._reconnectTask.then(() => this._reconnectTask = null);
+        }
+    }
+
+    async _waitReconnect() {
+        if (this._reconnectTask) {
+            await this._reconnectTask;
+        }
+    }
+
+    // Can be called when there are no alive connections left and the automatic reconnection is enabled
+    async _reconnectLoop(reason: string): Promise<void> {
+        await this._waitBackgroundConnect();
+        // The background task could connect to another node meanwhile
+        if (this._getAllConnections().length != 0) {
+            return;
+        }
+
+        const options = this._config.autoReconnect;
+        this._changeState(IgniteClient.STATE.CONNECTING, reason);
+
+        for (let attempt = 1; options.maxAttempts === 0 || attempt <= options.maxAttempts; attempt++) {
+            if (attempt > 1) {
+                await this._delayReconnect(this._getReconnectDelay(attempt - 1));
+            }
+            // disconnect() stops the reconnection
+            if (this._state !== IgniteClient.STATE.CONNECTING) {
+                return;
+            }
+            const endpoints = [...this._inactiveEndpoints];
+            const random = this._getRandomInt(endpoints.length);
+
+            for (let i = 0; i < endpoints.length; i++) {
+                if (this._state !== IgniteClient.STATE.CONNECTING) {
+                    return;
+                }
+                const endpoint = endpoints[(i + random) % endpoints.length];
+                this._changeState(IgniteClient.STATE.CONNECTING, reason,
+                    { event: 'reconnecting', attempt: attempt, endpoint: endpoint });
+
+                const socket = this._createSocket(endpoint);
+                try {
+                    await socket.connect();
+                }
+                catch (err) {
+                    Logger.logDebug(Util.format('Could not reconnect to %s. Error: "%s"', endpoint, err.message));
+                    reason = Util.format('[%s] %s', endpoint, err.message);
+                    continue;
+                }
+
+                if (this._state !== IgniteClient.STATE.CONNECTING) {
+                    socket.disconnect();
+                    return;
+                }
+                Logger.logDebug(Util.format('Reconnected to %s', endpoint));
+                this._changeState(IgniteClient.STATE.CONNECTED, null,
+                    { event: 'reconnected', attempt: attempt, endpoint: endpoint });
+                this._addConnection(socket);
+
+                this._runBackgroundConnect();
+                return;
+            }
+        }
+
+        if (this._state === IgniteClient.STATE.CONNECTING) {
+            this._changeState(IgniteClient.STATE.DISCONNECTED, reason);
+            this._cleanUp();
+        }
+    }
+
+    // Returns the delay after the failed reconnection attempt
+    _getReconnectDelay(attempt: number): number {
+        const options = this._config.autoReconnect;
+        const delay = Math.min(options.initialDelay * Math.pow(2, attempt - 1), options.maxDelay);
+        return Math.round(delay * (1 - options.jitter * Math.random()));
+    }
+
+    _delayReconnect(milliseconds: number): Promise<void> {
+        return new Promise(resolve => {
+            this._reconnectDelay = {
+                timer: setTimeout(() => {
+                    this._reconnectDelay = null;
+                    resolve();
+                }, milliseconds),
+                resolve: resolve
+            };
+        });
+    }
+
+    _cancelReconnectDelay() {
+        if (this._reconnectDelay) {
+            clearTimeout(this._reconnectDelay.timer);
+            this._reconnectDelay.resolve();
+            this._reconnectDelay = null;
+        }
+    }
+
+    _createSocket(endpoint: string): ClientSocket {
+        return new ClientSocket(
+            endpoint, this._config, this._communicator,
+            this._onSocketDisconnect.bind(this),
+            this._onAffinityTopologyChange.bind(this));
+    }
+
+    // Closes the transactions of the connection, or all the transactions if the connection is not specified
+    _closeTransactions(socket: ClientSocket = null) {
+        for (const transaction of Array.from(this._transactions)) {
+            // The server rolls back the transaction once its connection is closed
+            if (!socket || transaction._getSocket() === socket) {
+                transaction._onClose();
+            }
+        }
+    }
+
     _cleanUp() {
+        this._closeTransactions();
+
         this._legacyConnection = null;
         this._inactiveEndpoints = [];
+        this._discoveredEndpoints.clear();
 
         this._partitionAwarenessActive = false;
         this._connections = {};
@@ -286,6 +658,7 @@ export default class Router {
 
     async _onSocketDisconnect(socket, error = null) {
         this._removeConnection(socket);
+        this._closeTransactions(socket);
 
         if (this._getAllConnections().length != 0) {
             // We had more than one connection before this disconnection
@@ -293,6 +666,11 @@ export default class Router {
             return;
         }
 
+        if (this._config.autoReconnect) {
+            this._runReconnect(error);
+            return;
+        }
+
         try {
             await this._reconnect();
         }
@@ -303,32 +681,29 @@ export default class Router {
 
     /** Partition Awareness methods */
 
-    async _affinitySend(opCode, payloadWriter, payloadReader, affinityHint: AffinityHint) {
-        let connection = await this._chooseConnection(affinityHint);
-
-        while (true) {
-            Logger.logDebug('Endpoint chosen: ' + connection.endpoint);
+    async _affinitySend(opCode, payloadWriter, payloadReader, affinityHint: AffinityHint,
+                        options: OperationOptions = null): Promise<ClientSocket> {
+        const connection = await this._chooseConnection(affinityHint);
+        Logger.logDebug('Endpoint chosen: ' + connection.endpoint);
 
-            try {
-                await connection.sendRequest(opCode, payloadWriter, payloadReader);
-                return;
+        try {
+            await connection.sendRequest(opCode, payloadWriter, payloadReader, options);
+            return connection;
+        }
+        catch (err) {
+            if (!(err instanceof LostConnectionError)) {
+                throw err;
             }
-            catch (err) {
-                if (!(err instanceof LostConnectionError)) {
-                    throw err;
-                }
 
-                Logger.logDebug(connection.endpoint + ' is unavailable');
+            Logger.logDebug(connection.endpoint + ' is unavailable');
 
-                this._removeConnection(connection);
+            // The retry policy decides whether the request is sent to another node
+            this._removeConnection(connection);
 
-                if (this._getAllConnections().length == 0) {
-                    throw new LostConnectionError('Cluster is unavailable');
-                }
+            if (this._getAllConnections().length == 0) {
+                throw new LostConnectionError('Cluster is unavailable');
             }
-
-            connection = this._getRandomConnection();
-            Logger.logDebug('Node has been chosen randomly');
+            throw err;
         }
     }
 
@@ -423,6 +798,138 @@ export default class Router {
         this._distributionMap = new Map();
 
         this._runBackgroundConnect();
+        this._runDiscovery();
+    }
+
+    _runDiscovery() {
+        if (!this._partitionAwarenessAllowed || !this._config.nodeDiscovery) {
+            return;
+        }
+        if (this._discoveryTask) {
+            // Only one task can be active, it discovers the nodes once again when finished
+            this._discoveryPending = true;
+            return;
+        }
+        this._discoveryTask = this._discoverNodes();
+        this._discoveryTask.then(() => this._discoveryTask = null);
+    }
+
+    async _discoverNodes(): Promise<void> {
+        do {
+            this._discoveryPending = false;
+            try {
+                await this._updateNodes();
+            }
+            catch (err) {
+                Logger.logDebug('Could not discover cluster nodes: ' + err.message);
+            }
+        } while (this._discoveryPending && this._state === IgniteClient.STATE.CONNECTED);
+    }
+
+    // Connects to the nodes the client is not connected to yet and closes the connections to the nodes which have left
+    async _updateNodes() {
+        const nodes = await this._getNodeEndpoints();
+        if (!nodes || this._state !== IgniteClient.STATE.CONNECTED) {
+            return;
+        }
+
+        const endpoints = new Set<string>();
+        for (const nodeEndpoints of nodes.values()) {
+            nodeEndpoints.forEach((endpoint) => endpoints.add(endpoint));
+        }
+        for (const nodeId of Object.keys(this._connections)) {
+            if (!nodes.has(nodeId)) {
+                const socket = this._connections[nodeId];
+                Logger.logDebug(Util.format('Node %s has left the cluster, closing connection to %s', nodeId, socket.endpoint));
+                this._removeConnection(socket);
+                socket.disconnect();
+            }
+        }
+        // The client does not reconnect to the discovered nodes which have left
+        for (const endpoint of Array.from(this._discoveredEndpoints)) {
+            if (!endpoints.has(endpoint)) {
+                this._discoveredEndpoints.delete(endpoint);
+                const index = this._inactiveEndpoints.indexOf(endpoint);
+                if (index > -1) {
+                    this._inactiveEndpoints.splice(index, 1);
+                }
+            }
+        }
+
+        for (const [nodeId, nodeEndpoints] of nodes) {
+            // Every endpoint of the node is tried until the connection is established
+            for (const endpoint of nodeEndpoints) {
+                if (nodeId in this._connections) {
+                    break;
+                }
+                const socket = this._createSocket(endpoint);
+                try {
+                    await socket.connect();
+                }
+                catch (err) {
+                    Logger.logDebug(Util.format('Could not connect (discovery) to %s. Error: "%s"', endpoint, err.message));
+                    continue;
+                }
+
+                // While we were waiting for socket to connect, someone could call disconnect()
+                if (this._state !== IgniteClient.STATE.CONNECTED) {
+                    socket.disconnect();
+                    return;
+                }
+                Logger.logDebug(Util.format('Connected (discovery) to %s', endpoint));
+                if (this._config.endpoints.indexOf(endpoint) < 0) {
+                    this._discoveredEndpoints.add(endpoint);
+                }
+                this._addConnection(socket);
+            }
+        }
+    }
+
+    // Returns {node id -> client connector endpoints} of the server nodes of the cluster,
+    // or null if the server does not support the discovery
+    async _getNodeEndpoints(): Promise<Map<string, string[]>> {
+        const socket = this._getAllConnections().find((connection) =>
+            connection.isFeatureSupported(PROTOCOL_FEATURE.CLUSTER_GROUP_GET_NODES_ENDPOINTS));
+        if (!socket) {
+            Logger.logDebug('Cluster nodes discovery is not supported by the server');
+            return null;
+        }
+
+        const nodes = new Map<string, string[]>();
+        await this.send(
+            BinaryUtils.OPERATION.CLUSTER_GROUP_GET_NODE_ENDPOINTS,
+            async (payload) => {
+                // All the nodes of the current topology are returned as added
+                payload.writeLong(UNKNOWN_TOPOLOGY_VERSION);
+                payload.writeLong(UNKNOWN_TOPOLOGY_VERSION);
+            },
+            async (payload) => {
+                payload.readLong(); // topology version
+                const addedCount = payload.readInteger();
+                for (let i = 0; i < addedCount; i++) {
+                    const nodeId = "" + this._communicator._readUUID(payload);
+                    const port = payload.readInteger();
+                    const addressCount = payload.readInteger();
+                    const endpoints = [];
+                    for (let j = 0; j < addressCount; j++) {
+                        const address = BinaryCommunicator.readString(payload);
+                        endpoints.push(address.indexOf(':') >= 0 ?
+                            Util.format('[%s]:%d', address, port) :
+                            Util.format('%s:%d', address, port));
+                    }
+                    // Port 0 means the client connector is disabled on the node
+                    if (port > 0) {
+                        nodes.set(nodeId, endpoints);
+                    }
+                }
+                const removedCount = payload.readInteger();
+                for (let i = 0; i < removedCount; i++) {
+                    this._communicator._readUUID(payload);
+                }
+            },
+            null,
+            socket);
+        return nodes;
     }
 
     async _getCachePartitions(cacheId) {
@@ -485,18 +992,26 @@ export default class Router {
         return allConnections[this._getRandomInt(allConnections.length)];
     }
 
-    _changeState(state, reason = null) {
+    _changeState(state, reason = null, details: ReconnectDetails = null) {
         if (Logger.debug) {
             Logger.logDebug(Util.format('Router state: %s -> %s'),
                 this._getState(this._state),
                 this._getState(state));
         }
-        if (this._state !== state) {
+        // The reconnection details are reported even if the state is not changed
+        if (this._state !== state || details) {
             this._state = state;
             if (this._onStateChanged) {
-                this._onStateChanged(state, reason);
+                this._onStateChanged(state, reason, details);
             }
         }
+        // The waiting requests are resumed asynchronously, after the new connection is added
+        if (state === IgniteClient.STATE.CONNECTED) {
+            this._flushOfflineQueue();
+        }
+        else if (state === IgniteClient.STATE.DISCONNECTED) {
+            this._flushOfflineQueue(new IllegalStateError(state));
+        }
     }
 
     _getState(state) {
@@ -530,7 +1045,25 @@ export default class Router {
         return Math.floor(Math.random() * max);
     }
 
-    _sleep(milliseconds) {
-        return new Promise(resolve => setTimeout(resolve, milliseconds));
+    // Waits for the specified time, rejects with AbortError once the signal is aborted
+    _sleep(milliseconds: number, signal: AbortSignalLike = null): Promise<void> {
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError());
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new AbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, milliseconds);
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+        });
     }
 }